@@ -0,0 +1,71 @@
+// migrateDutyChartPeople.js
+// One-off: convert the old Mixed people fields on duty charts/templates
+// (id-strings, ObjectIds, typed names, stored user objects) into
+// { user } / { externalName }. Safe to run more than once.
+//
+//   node migrateDutyChartPeople.js            → migrate
+//   node migrateDutyChartPeople.js --dry-run  → only count what would change
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import DutyChart from "./src/models/DutyChart.js";
+import DutyChartTemplate from "./src/models/DutyChartTemplate.js";
+import { toPersonRef } from "./src/utils/personRef.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+// stored shape for every people field of one raw document
+const normalizePeople = (doc) => {
+  const $set = {
+    jamiatIncharge: toPersonRef(doc.jamiatIncharge),
+    "eventIncharge.captain": toPersonRef(doc.eventIncharge?.captain),
+    "eventIncharge.viceCaptain": toPersonRef(doc.eventIncharge?.viceCaptain),
+  };
+  $set.assignments = (doc.assignments || []).map((a) => ({
+    ...a,
+    inchargeOfficer: toPersonRef(a.inchargeOfficer),
+    subInchargeOfficer: toPersonRef(a.subInchargeOfficer),
+    ...(a.members !== undefined && { members: (a.members || []).map(toPersonRef).filter(Boolean) }),
+  }));
+  return $set;
+};
+
+const current = (doc) => ({
+  jamiatIncharge: doc.jamiatIncharge ?? null,
+  "eventIncharge.captain": doc.eventIncharge?.captain ?? null,
+  "eventIncharge.viceCaptain": doc.eventIncharge?.viceCaptain ?? null,
+  assignments: doc.assignments || [],
+});
+
+// raw collection on purpose: the new schema cannot hydrate old documents
+const migrateCollection = async (Model) => {
+  let changed = 0;
+  const cursor = Model.collection.find({});
+  for await (const doc of cursor) {
+    const $set = normalizePeople(doc);
+    if (JSON.stringify($set) === JSON.stringify(current(doc))) continue;
+    changed++;
+    if (!dryRun) await Model.collection.updateOne({ _id: doc._id }, { $set });
+  }
+  console.log(`${dryRun ? "🔎 Would update" : "✅ Updated"} ${changed} ${Model.collection.collectionName}`);
+};
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    await migrateCollection(DutyChart);
+    await migrateCollection(DutyChartTemplate);
+
+    // indexes on the new { user } paths
+    if (!dryRun) await DutyChart.syncIndexes();
+
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error migrating duty chart people:", err.message);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -0,0 +1,38 @@
+// migratePaymentLedger.js
+// One-off: give every existing due its transaction ledger. Paid dues get a
+// single transaction for the full amount (same receipt number and date);
+// paidAmount and status are recomputed. Safe to run more than once.
+//
+//   node migratePaymentLedger.js            → migrate
+//   node migratePaymentLedger.js --dry-run  → only count what would change
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Payment from "./src/models/Payment.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    let changed = 0;
+    const cursor = Payment.find({}).cursor();
+    for await (const payment of cursor) {
+      const before = JSON.stringify([payment.status, payment.paidAmount, payment.transactions.length]);
+      await payment.validate(); // the ledger hook fills in transactions / paidAmount / status
+      if (JSON.stringify([payment.status, payment.paidAmount, payment.transactions.length]) === before) continue;
+      changed++;
+      if (!dryRun) await payment.save({ validateBeforeSave: false });
+    }
+
+    console.log(`${dryRun ? "🔎 Would update" : "✅ Updated"} ${changed} payments`);
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error migrating payment ledger:", err.message);
+    process.exit(1);
+  }
+}
+
+migrate();
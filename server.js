@@ -16,6 +16,11 @@ import paymentRoutes from "./src/routes/finance.js";
 import notificationRoutes from "./src/routes/notification.js";
 // Mailer utility
 import { verifyMailer } from "./src/utils/mailer.js";
+// Overdue dues + reminders scheduler
+import { startDuesReminderJob } from "./src/utils/duesReminders.js";
+import { PAYMENT_PROOFS_DIR } from "./src/config/paths.js";
+// First-run fee schedule seed
+import { ensureDefaultFeeSchedule } from "./src/utils/feeSchedules.js";
 
 dotenv.config();
 
@@ -32,6 +37,12 @@ if (!fs.existsSync(uploadsDir)) {
   console.log("📁 Created uploads/profiles directory");
 }
 
+// 🔒 Payment proofs: private folder shared with the finance routes
+if (!fs.existsSync(PAYMENT_PROOFS_DIR)) {
+  fs.mkdirSync(PAYMENT_PROOFS_DIR, { recursive: true });
+  console.log("📁 Created private/payment-proofs directory");
+}
+
 // Middleware
 app.use(express.json());
 
@@ -134,6 +145,11 @@ mongoose
   .then(() => {
     console.log("✅ MongoDB connected");
 
+    ensureDefaultFeeSchedule().catch((err) =>
+      console.error("❌ Default fee schedule seed failed:", err.message || err)
+    );
+    startDuesReminderJob();
+
     console.log("📧 Verifying email service...");
     verifyMailer()
       .then(() => console.log("✅ Email service verification completed"))
@@ -207,7 +223,11 @@ app.use((err, req, res, next) => {
     });
   }
 
-  if (err.message === "Only image files are allowed!") {
+  if (
+    err.message === "Only image files are allowed!" ||
+    err.message === "Only CSV or XLSX files are allowed!" ||
+    err.message === "Only image or PDF files are allowed!"
+  ) {
     return res.status(400).json({
       success: false,
       message: err.message,
@@ -0,0 +1,9 @@
+// src/config/paths.js
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Project root (where server.js lives), independent of the working directory
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+// 🔒 Payment proofs: private folder, deliberately NOT under /uploads (served via finance routes only)
+export const PAYMENT_PROOFS_DIR = path.join(ROOT_DIR, "private", "payment-proofs");
@@ -0,0 +1,132 @@
+// src/config/permissions.js
+/**
+ * Permission catalogue + default role definitions.
+ * ------------------------------------------------------------
+ * Routes/controllers check named permissions; which role holds which
+ * permission lives in the RoleDefinition collection (editable by
+ * SuperAdmin). The defaults below seed that collection and mirror the
+ * role arrays that used to be hardcoded across the routes.
+ *
+ * A permission suffixed with ":zone" grants the same action limited to
+ * the user's own zone (see requireScope in middleware/auth.js).
+ */
+
+export const ALL_PERMISSIONS = "*";
+
+export const PERMISSIONS = {
+  // Dashboards
+  "dashboard:superadmin": "Open the SuperAdmin dashboard",
+  "dashboard:admin": "Open the Admin dashboard",
+  "dashboard:captain": "Open the Captain dashboard",
+  "dashboard:finance": "Open the Finance dashboard",
+  "dashboard:member": "Open the Member dashboard",
+
+  // Members
+  "members:read": "View the member directory",
+  "members:read:zone": "View members of own zone",
+  "members:create": "Create members",
+  "members:update": "Edit members",
+  "members:update:zone": "Edit contact details of own zone's members",
+  "members:delete": "Delete members",
+  "members:reset-password": "Set a member's password",
+
+  // Duty charts
+  "dutychart:read": "View all duty charts",
+  "dutychart:read:zone": "View duty assignments involving own zone",
+  "dutychart:write": "Create, edit and delete duty charts",
+  "dutychart:write:zone": "Edit duty assignments involving own zone",
+
+  // Miqaat & attendance
+  "miqaat:write": "Create, edit and delete Miqaats",
+  "attendance:manage": "Run check-in sessions and edit attendance",
+
+  // Finance
+  "finance:read": "View payments, dues and finance reports",
+  "finance:read:zone": "View pending dues of own zone",
+  "finance:assign-dues": "Assign dues to members",
+  "finance:generate-dues": "Generate annual subscription dues",
+  "finance:mark-paid": "Mark payments as paid",
+  "finance:edit-payment": "Edit individual payments",
+  "finance:fee-schedules": "Create and edit fee schedules",
+
+  // Security & administration
+  "security:lockouts": "View and clear login lockouts",
+  "security:login-history": "View members' login history",
+  "roles:manage": "Edit role permissions",
+};
+
+const ADMIN_PERMISSIONS = [
+  "dashboard:admin",
+  "dashboard:captain",
+  "dashboard:finance",
+  "dashboard:member",
+  "members:read",
+  "members:create",
+  "members:update",
+  "members:delete",
+  "members:reset-password",
+  "dutychart:read",
+  "dutychart:write",
+  "miqaat:write",
+  "attendance:manage",
+  "finance:read",
+  "finance:assign-dues",
+  "finance:generate-dues",
+  "finance:mark-paid",
+  "finance:edit-payment",
+  "finance:fee-schedules",
+];
+
+export const DEFAULT_ROLE_DEFINITIONS = [
+  {
+    name: "SuperAdmin",
+    description: "Full access to everything",
+    permissions: [ALL_PERMISSIONS],
+  },
+  {
+    name: "Admin",
+    description: "Manages members, duty charts, Miqaats and finance",
+    permissions: ADMIN_PERMISSIONS,
+  },
+  {
+    name: "Captain",
+    description: "Leads duty teams and manages own zone",
+    permissions: [
+      "dashboard:captain",
+      "dashboard:member",
+      "members:read:zone",
+      "members:update:zone",
+      "dutychart:read:zone",
+      "dutychart:write:zone",
+      "finance:read:zone",
+    ],
+  },
+  {
+    name: "Finance",
+    description: "Manages dues and payments",
+    permissions: [
+      "dashboard:finance",
+      "members:read",
+      "finance:read",
+      "finance:assign-dues",
+      "finance:generate-dues",
+      "finance:mark-paid",
+      "finance:edit-payment",
+      "finance:fee-schedules",
+    ],
+  },
+  {
+    name: "Member",
+    description: "Regular member",
+    permissions: ["dashboard:member"],
+  },
+];
+
+// Dashboards the frontend can offer, each gated by one permission (in menu order)
+export const DASHBOARDS = [
+  { name: "SuperAdmin", path: "/SuperAdminDashboard", icon: "Dashboard", permission: "dashboard:superadmin" },
+  { name: "Admin", path: "/admin-dashboard", icon: "AdminPanel", permission: "dashboard:admin" },
+  { name: "Captain", path: "/captain-dashboard", icon: "Shield", permission: "dashboard:captain" },
+  { name: "Finance", path: "/finance-dashboard", icon: "AccountBalance", permission: "dashboard:finance" },
+  { name: "Member", path: "/member-dashboard", icon: "Person", permission: "dashboard:member" },
+];
@@ -0,0 +1,369 @@
+// src/controllers/attendanceController.js
+/**
+ * attendanceController.js
+ * ------------------------------------------------------------
+ * QR-code check-in for Miqaat attendance.
+ * Admins open a time-boxed AttendanceSession and display a rotating,
+ * signed QR token; members scan it to mark themselves Present/Late.
+ * Check-out, close-out (Absent reconciliation) and admin overrides
+ * operate on the Miqaat's embedded attendance sheet.
+ * Parallels miqaatController style for uniformity.
+ */
+
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import Miqaat from "../models/Miqaat.js";
+import User from "../models/user.js";
+import Attendance from "../models/Attendance.js";
+import AttendanceSession from "../models/AttendanceSession.js";
+import { hasPermission } from "../utils/permissions.js";
+import {
+  generateSessionSecret,
+  issueQrToken,
+  readQrToken,
+  verifyQrToken,
+} from "../utils/attendanceQr.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const ATTENDANCE_STATUSES = ["Present", "Late", "Absent"];
+
+const computeHoursServed = (checkIn, checkOut) => {
+  if (!checkIn || !checkOut) return null;
+  const ms = new Date(checkOut).getTime() - new Date(checkIn).getTime();
+  return ms > 0 ? Math.round((ms / (60 * 60 * 1000)) * 100) / 100 : 0;
+};
+
+const serverErr = (res, err, ctx = "") => {
+  console.error("⚠️ Attendance Error", ctx, err);
+  return res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: err?.message || String(err),
+  });
+};
+
+// Strip the signing secret before a session goes out in a response
+const toPublicSession = (session) => {
+  const s = session.toObject ? session.toObject() : { ...session };
+  delete s.secret;
+  return s;
+};
+
+const isSessionOpen = (session, now = new Date()) =>
+  session.isActive && now >= session.startsAt && now <= session.expiresAt;
+
+// Present up to reportingTime + grace, Late afterwards
+const resolveCheckInStatus = (session, now = new Date()) => {
+  const cutoff = new Date(session.reportingTime).getTime() + (session.graceMinutes || 0) * 60 * 1000;
+  return now.getTime() > cutoff ? "Late" : "Present";
+};
+
+// OPEN SESSION (Admin)
+export const openAttendanceSession = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    const miqaat = await Miqaat.findById(req.params.id);
+    if (!miqaat) return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    const {
+      title,
+      durationMinutes = 60,
+      reportingTime,
+      graceMinutes = 0,
+      rotationSeconds = 30,
+    } = req.body || {};
+
+    const duration = Number(durationMinutes);
+    if (!Number.isFinite(duration) || duration <= 0)
+      return res.status(400).json({ success: false, message: "durationMinutes must be a positive number." });
+
+    const reporting = reportingTime ? new Date(reportingTime) : new Date(miqaat.date);
+    if (Number.isNaN(reporting.getTime()))
+      return res.status(400).json({ success: false, message: "reportingTime is not a valid date." });
+
+    // Only one live session per Miqaat — opening a new one closes the old
+    await AttendanceSession.updateMany(
+      { miqaat: miqaat._id, isActive: true },
+      { $set: { isActive: false, closedAt: new Date() } }
+    );
+
+    const startsAt = new Date();
+    const session = await AttendanceSession.create({
+      miqaat: miqaat._id,
+      title: title ? String(title).trim() : `${miqaat.name} check-in`,
+      createdBy: req.user._id || req.user.id,
+      secret: generateSessionSecret(),
+      startsAt,
+      expiresAt: new Date(startsAt.getTime() + duration * 60 * 1000),
+      reportingTime: reporting,
+      graceMinutes: Number(graceMinutes) || 0,
+      rotationSeconds: Number(rotationSeconds) || 30,
+    });
+
+    const qr = issueQrToken(session);
+
+    return res.status(201).json({
+      success: true,
+      message: "Attendance session opened",
+      session: toPublicSession(session),
+      qr,
+    });
+  } catch (err) {
+    return serverErr(res, err, "openAttendanceSession");
+  }
+};
+
+// LIST SESSIONS (Admin)
+export const getAttendanceSessions = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    const sessions = await AttendanceSession.find({ miqaat: req.params.id })
+      .sort({ createdAt: -1 })
+      .lean();
+    return res.json({ success: true, sessions });
+  } catch (err) {
+    return serverErr(res, err, "getAttendanceSessions");
+  }
+};
+
+// CURRENT QR TOKEN (Admin screen polls this every rotation)
+export const getSessionQr = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    if (!isValidObjectId(sessionId))
+      return res.status(404).json({ success: false, message: "Session not found" });
+
+    const session = await AttendanceSession.findOne({ _id: sessionId, miqaat: id }).select("+secret");
+    if (!session) return res.status(404).json({ success: false, message: "Session not found" });
+
+    if (!isSessionOpen(session))
+      return res.status(400).json({ success: false, message: "Attendance session is closed" });
+
+    return res.json({ success: true, qr: issueQrToken(session) });
+  } catch (err) {
+    return serverErr(res, err, "getSessionQr");
+  }
+};
+
+// CLOSE SESSION (Admin)
+export const closeAttendanceSession = async (req, res) => {
+  try {
+    const { id, sessionId } = req.params;
+    if (!isValidObjectId(sessionId))
+      return res.status(404).json({ success: false, message: "Session not found" });
+
+    const session = await AttendanceSession.findOne({ _id: sessionId, miqaat: id });
+    if (!session) return res.status(404).json({ success: false, message: "Session not found" });
+
+    session.isActive = false;
+    session.closedAt = session.closedAt || new Date();
+    await session.save();
+
+    return res.json({ success: true, message: "Attendance session closed", session: toPublicSession(session) });
+  } catch (err) {
+    return serverErr(res, err, "closeAttendanceSession");
+  }
+};
+
+// CHECK-IN (Member scans QR)
+export const checkInWithQr = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ success: false, message: "QR token is required." });
+
+    const claimed = readQrToken(token);
+    if (!claimed || !isValidObjectId(claimed.sid))
+      return res.status(400).json({ success: false, message: "Invalid QR code" });
+
+    const session = await AttendanceSession.findById(claimed.sid).select("+secret");
+    if (!session) return res.status(400).json({ success: false, message: "Invalid QR code" });
+
+    try {
+      verifyQrToken(token, session);
+    } catch (verifyErr) {
+      if (verifyErr instanceof jwt.TokenExpiredError)
+        return res.status(400).json({ success: false, message: "QR code has expired. Please scan the latest code." });
+      return res.status(400).json({ success: false, message: "Invalid QR code" });
+    }
+
+    const now = new Date();
+    if (!isSessionOpen(session, now))
+      return res.status(400).json({ success: false, message: "Attendance session is closed" });
+
+    const memberId = req.user._id || req.user.id;
+    const miqaat = await Miqaat.findById(session.miqaat).select("name attendance attendanceClosedAt");
+    if (!miqaat) return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    if (miqaat.attendanceClosedAt)
+      return res.status(400).json({ success: false, message: "Attendance for this Miqaat has been closed" });
+
+    const alreadyMarked = (miqaat.attendance || []).some((a) => String(a.member) === String(memberId));
+    if (alreadyMarked)
+      return res.status(409).json({ success: false, message: "Attendance already marked for this Miqaat." });
+
+    const status = resolveCheckInStatus(session, now);
+
+    try {
+      await Attendance.create({
+        session: session._id,
+        miqaat: miqaat._id,
+        member: memberId,
+        markedAt: now,
+        status,
+        markedBy: memberId,
+      });
+    } catch (dupErr) {
+      // unique (miqaat, member) index — a concurrent scan got there first
+      if (dupErr?.code === 11000)
+        return res.status(409).json({ success: false, message: "Attendance already marked for this Miqaat." });
+      throw dupErr;
+    }
+
+    await Miqaat.updateOne(
+      { _id: miqaat._id, "attendance.member": { $ne: memberId } },
+      { $push: { attendance: { member: memberId, status, checkIn: now } } }
+    );
+
+    return res.json({
+      success: true,
+      message: status === "Late" ? "Checked in (Late)." : "Checked in successfully.",
+      miqaat: { _id: miqaat._id, name: miqaat.name },
+      status,
+      checkIn: now,
+    });
+  } catch (err) {
+    return serverErr(res, err, "checkInWithQr");
+  }
+};
+
+// CHECK-OUT (Member checks self out; attendance:manage may pass memberId)
+export const checkOutAttendance = async (req, res) => {
+  try {
+    const { memberId: bodyMemberId } = req.body || {};
+    const selfId = String(req.user._id || req.user.id);
+    const memberId = bodyMemberId ? String(bodyMemberId) : selfId;
+
+    if (memberId !== selfId && !hasPermission(req.user, "attendance:manage"))
+      return res.status(403).json({ success: false, message: "Forbidden. You can only check yourself out." });
+
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    const miqaat = await Miqaat.findById(req.params.id);
+    if (!miqaat) return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    const row = (miqaat.attendance || []).find((a) => String(a.member) === memberId);
+    if (!row || !row.checkIn || row.status === "Absent")
+      return res.status(400).json({ success: false, message: "Member has not checked in for this Miqaat." });
+
+    if (row.checkOut)
+      return res.status(409).json({ success: false, message: "Already checked out." });
+
+    row.checkOut = new Date();
+    row.hoursServed = computeHoursServed(row.checkIn, row.checkOut);
+    await miqaat.save();
+
+    return res.json({
+      success: true,
+      message: "Checked out successfully.",
+      checkIn: row.checkIn,
+      checkOut: row.checkOut,
+      hoursServed: row.hoursServed,
+    });
+  } catch (err) {
+    return serverErr(res, err, "checkOutAttendance");
+  }
+};
+
+// CLOSE-OUT (Admin) — ends check-in and marks every expected, unregistered member Absent
+export const closeOutAttendance = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    const miqaat = await Miqaat.findById(req.params.id);
+    if (!miqaat) return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    const now = new Date();
+
+    await AttendanceSession.updateMany(
+      { miqaat: miqaat._id, isActive: true },
+      { $set: { isActive: false, closedAt: now } }
+    );
+
+    let expectedIds = (miqaat.expectedMembers || []).map(String);
+    if (expectedIds.length === 0) {
+      const members = await User.find({ role: "Member", status: "active" }).select("_id").lean();
+      expectedIds = members.map((m) => String(m._id));
+    }
+
+    const marked = new Set((miqaat.attendance || []).map((a) => String(a.member)));
+    const absentees = expectedIds.filter((id) => !marked.has(id));
+
+    absentees.forEach((member) => {
+      miqaat.attendance.push({ member, status: "Absent", note: "Marked absent at close-out" });
+    });
+
+    miqaat.attendanceClosedAt = now;
+    await miqaat.save();
+
+    const stillCheckedIn = (miqaat.attendance || []).filter(
+      (a) => a.status !== "Absent" && a.checkIn && !a.checkOut
+    ).length;
+
+    return res.json({
+      success: true,
+      message: `Attendance closed. ${absentees.length} member(s) marked Absent.`,
+      markedAbsent: absentees.length,
+      stillCheckedIn,
+      closedAt: now,
+    });
+  } catch (err) {
+    return serverErr(res, err, "closeOutAttendance");
+  }
+};
+
+// OVERRIDE STATUS / NOTE (Admin)
+export const overrideAttendance = async (req, res) => {
+  try {
+    const { id, memberId } = req.params;
+    const { status, note } = req.body || {};
+
+    if (!isValidObjectId(id))
+      return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    if (!isValidObjectId(memberId))
+      return res.status(400).json({ success: false, message: "Invalid memberId" });
+
+    if (status !== undefined && !ATTENDANCE_STATUSES.includes(status))
+      return res.status(400).json({ success: false, message: `status must be one of ${ATTENDANCE_STATUSES.join(", ")}.` });
+
+    if (status === undefined && note === undefined)
+      return res.status(400).json({ success: false, message: "Provide a status and/or note." });
+
+    const miqaat = await Miqaat.findById(id);
+    if (!miqaat) return res.status(404).json({ success: false, message: "Miqaat not found" });
+
+    let row = (miqaat.attendance || []).find((a) => String(a.member) === String(memberId));
+    if (!row) {
+      const member = await User.findById(memberId).select("_id");
+      if (!member) return res.status(404).json({ success: false, message: "Member not found" });
+      miqaat.attendance.push({ member: memberId, status: status || "Absent" });
+      row = miqaat.attendance[miqaat.attendance.length - 1];
+    }
+
+    if (status !== undefined) row.status = status;
+    if (note !== undefined) row.note = String(note).trim();
+
+    await miqaat.save();
+
+    return res.json({ success: true, message: "Attendance updated", attendance: row });
+  } catch (err) {
+    return serverErr(res, err, "overrideAttendance");
+  }
+};
@@ -1,12 +1,39 @@
 // controllers/authController.js
 import User from "../models/user.js";
+import RefreshToken from "../models/RefreshToken.js";
+import PasswordReset from "../models/PasswordReset.js";
+import LoginHistory from "../models/LoginHistory.js";
+import LoginLockout from "../models/LoginLockout.js";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { sendMail } from "../utils/mailer.js";
+import { passwordResetEmailTemplate } from "../templates/passwordResetEmail.js";
+import { PASSWORD_CHANGE_SCOPE } from "../middleware/auth.js";
+import {
+  getActiveLock,
+  recordLoginFailure,
+  clearLoginFailures,
+  allowResetRequest,
+  minutesUntil,
+} from "../utils/loginThrottle.js";
 
-// ✅ Generate JWT with proper logging
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// 🔑 Forgot-password OTP limits
+const RESET_CODE_TTL_MINUTES = 10;
+const RESET_CODE_MAX_ATTEMPTS = 5;
+const RESET_REQUEST_COOLDOWN_SECONDS = 60;
+const RESET_REQUESTS_PER_HOUR = 5;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// ✅ Generate short-lived access JWT with proper logging
 const generateToken = (user) => {
   const payload = { 
     id: user._id, 
-    role: user.role 
+    role: user.role,
+    tv: user.tokenVersion || 0,
   };
   
   console.log("🔑 Generating token:");
@@ -16,7 +43,7 @@ const generateToken = (user) => {
   const token = jwt.sign(
     payload,
     process.env.JWT_SECRET,
-    { expiresIn: "7d" }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
   
   console.log("✅ Token generated successfully");
@@ -24,6 +51,36 @@ const generateToken = (user) => {
   return token;
 };
 
+// 🔒 Restricted token while mustChangePassword is set — only reaches change-password
+const generatePasswordChangeToken = (user) =>
+  jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      tv: user.tokenVersion || 0,
+      scope: PASSWORD_CHANGE_SCOPE,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: "15m" }
+  );
+
+// 🔄 Issue an opaque refresh token; only its hash is stored
+const generateRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get?.("User-Agent"),
+    ip: req.ip,
+  });
+
+  return token;
+};
+
 // 📌 Role-based dashboard route
 const getDashboardRoute = (role) => {
   console.log("🎯 Determining dashboard for role:", role);
@@ -42,45 +99,102 @@ const getDashboardRoute = (role) => {
   return route;
 };
 
+// 📝 Record a login attempt (never blocks the login itself)
+const recordLoginHistory = async (req, { user, itsNumber, outcome }) => {
+  try {
+    await LoginHistory.create({
+      user: user?._id || null,
+      itsNumber,
+      ip: req.ip,
+      userAgent: req.get?.("User-Agent"),
+      outcome,
+    });
+  } catch (err) {
+    console.warn("⚠️ Login history write failed:", err.message);
+  }
+};
+
+// Same message for unknown ITS and wrong password so accounts can't be enumerated
+const INVALID_CREDENTIALS = "Invalid ITS number or password";
+
+const lockedResponse = (res, lockedUntil) =>
+  res.status(429).json({
+    message: `Too many failed login attempts. Try again in ${minutesUntil(lockedUntil)} minute(s).`,
+    lockedUntil,
+  });
+
 // 📌 Login User
 export const loginUser = async (req, res) => {
   try {
-    const { itsNumber, password } = req.body;
+    const { itsNumber, password } = req.body || {};
     
     console.log("\n🔐 LOGIN ATTEMPT");
     console.log("  - ITS Number:", itsNumber);
+    console.log("  - IP:", req.ip);
     console.log("  - Time:", new Date().toISOString());
-    
-    // Find user
-    const user = await User.findOne({ itsNumber });
-    if (!user) {
-      console.log("❌ User not found:", itsNumber);
-      return res.status(401).json({ message: "User not found" });
+
+    if (!itsNumber || !password) {
+      return res.status(400).json({ message: "ITS number and password required" });
+    }
+
+    // 🔒 Refuse while this ITS number or IP is locked out
+    const lock = await getActiveLock(itsNumber, req.ip);
+    if (lock) {
+      console.log("❌ Login locked until:", lock.lockedUntil);
+      await recordLoginHistory(req, { itsNumber, outcome: "locked" });
+      return lockedResponse(res, lock.lockedUntil);
     }
 
-    console.log("✅ User found:");
+    const failLogin = async (user, reason) => {
+      console.log("❌", reason);
+      await recordLoginHistory(req, { user, itsNumber, outcome: "invalid-credentials" });
+      const newLock = await recordLoginFailure(itsNumber, req.ip);
+      if (newLock) return lockedResponse(res, newLock.lockedUntil);
+      return res.status(401).json({ message: INVALID_CREDENTIALS });
+    };
+
+    // Find user
+    const user = await User.findOne({ itsNumber: String(itsNumber).trim() });
+    if (!user) return failLogin(null, `User not found: ${itsNumber}`);
+
+    // Verify password
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) return failLogin(user, "Invalid password");
+
+    console.log("✅ Password verified");
     console.log("  - Name:", user.name, user.surname);
     console.log("  - Role:", user.role);
     console.log("  - Status:", user.status);
     console.log("  - Zone:", user.zone);
 
-    // Check if user is active
+    await clearLoginFailures(itsNumber);
+
+    // Check if user is active (only revealed once the password is known)
     if (user.status !== "active") {
       console.log("❌ User is not active");
+      await recordLoginHistory(req, { user, itsNumber, outcome: "inactive" });
       return res.status(401).json({ message: "User account is inactive" });
     }
 
-    // Verify password
-    const isMatch = await user.matchPassword(password);
-    if (!isMatch) {
-      console.log("❌ Invalid password");
-      return res.status(401).json({ message: "Invalid ITS number or password" });
+    // 🔒 Initial/admin-set password still in use → restricted token only
+    if (user.mustChangePassword) {
+      console.log("⚠️ Password change required — issuing restricted token");
+      await recordLoginHistory(req, { user, itsNumber, outcome: "password-change-required" });
+      return res.json({
+        _id: user._id,
+        name: user.name,
+        surname: user.surname,
+        itsNumber: user.itsNumber,
+        role: user.role,
+        mustChangePassword: true,
+        token: generatePasswordChangeToken(user),
+        redirectTo: "/change-password",
+      });
     }
 
-    console.log("✅ Password verified");
-
-    // Generate token
+    // Generate tokens
     const token = generateToken(user);
+    const refreshToken = await generateRefreshToken(user, req);
     const redirectTo = getDashboardRoute(user.role);
     
     const response = {
@@ -93,9 +207,12 @@ export const loginUser = async (req, res) => {
       designation: user.designation,
       zone: user.zone,
       token: token,
+      refreshToken: refreshToken,
       redirectTo: redirectTo
     };
 
+    await recordLoginHistory(req, { user, itsNumber, outcome: "success" });
+
     console.log("✅ Login successful");
     console.log("  - Redirect to:", redirectTo);
     console.log("─────────────────────────────\n");
@@ -107,6 +224,346 @@ export const loginUser = async (req, res) => {
   }
 };
 
+// 🔒 List active lockouts (SuperAdmin)
+export const getLoginLockouts = async (req, res) => {
+  try {
+    const lockouts = await LoginLockout.find({ lockedUntil: { $gt: new Date() } })
+      .sort({ lockedUntil: -1 })
+      .lean();
+
+    res.json(lockouts);
+  } catch (error) {
+    console.error("❌ Get lockouts error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 🔓 Clear a lockout (SuperAdmin)
+export const clearLoginLockout = async (req, res) => {
+  try {
+    const lockout = await LoginLockout.findByIdAndUpdate(
+      req.params.id,
+      { $set: { failedCount: 0, lockCount: 0, lockedUntil: null } },
+      { new: true }
+    );
+    if (!lockout) return res.status(404).json({ message: "Lockout not found" });
+
+    console.log(`🔓 Lockout cleared (${lockout.kind}=${lockout.key}) by`, req.user.id);
+    res.json({ message: "Lockout cleared", lockout });
+  } catch (error) {
+    console.error("❌ Clear lockout error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 📝 Login history for a user (SuperAdmin)
+export const getLoginHistory = async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const history = await LoginHistory.find({ user: req.params.id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json(history);
+  } catch (error) {
+    console.error("❌ Get login history error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 🔄 Rotate refresh token and issue a new access token
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token required" });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim (revoke) the token atomically: only one refresh can ever rotate it
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: "rotated" } },
+      { new: true }
+    );
+
+    if (!stored) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+      if (!existing) {
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+
+      // Reuse of a rotated/revoked token → assume theft, kill the whole chain
+      if (existing.revokedAt) {
+        console.warn("⚠️ Refresh token reuse detected for user:", existing.user);
+        await RefreshToken.updateMany(
+          { family: existing.family, revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedReason: "reuse-detected" } }
+        );
+        return res.status(401).json({ message: "Refresh token has been revoked" });
+      }
+
+      return res.status(401).json({ message: "Refresh token expired" });
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || user.status !== "active" || (user.tokenVersion || 0) !== stored.tokenVersion) {
+      await RefreshToken.updateOne({ _id: stored._id }, { $set: { revokedReason: "account-changed" } });
+      return res.status(401).json({ message: "Session is no longer valid. Please log in again." });
+    }
+
+    const newRefreshToken = await generateRefreshToken(user, req, stored.family);
+    await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: hashToken(newRefreshToken) } });
+
+    res.json({
+      token: generateToken(user),
+      refreshToken: newRefreshToken,
+    });
+  } catch (error) {
+    console.error("❌ Refresh token error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 🚪 Logout (this device) — revokes the given refresh token
+export const logoutUser = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token required" });
+    }
+
+    await RefreshToken.updateOne(
+      { tokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+    );
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("❌ Logout error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 🚪 Logout all devices — bumps tokenVersion so every access token dies too
+export const logoutAllDevices = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    await RefreshToken.updateMany(
+      { user: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "logout-all" } }
+    );
+
+    res.json({ message: "Logged out from all devices" });
+  } catch (error) {
+    console.error("❌ Logout all error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Codes are hashed with the user id so identical codes don't collide across users
+const hashResetCode = (userId, code) =>
+  crypto.createHash("sha256").update(`${userId}:${code}`).digest("hex");
+
+const findUserByIdentifier = ({ itsNumber, email }) => {
+  if (itsNumber) return User.findOne({ itsNumber: String(itsNumber).trim() });
+  if (email) return User.findOne({ email: String(email).trim() });
+  return null;
+};
+
+// 🔑 Forgot password — mail a one-time code
+// After input validation every outcome gets the same response, so neither
+// status codes nor errors reveal which ITS numbers / emails exist.
+export const forgotPassword = async (req, res) => {
+  const genericResponse = {
+    message: "If an account exists for these details, a reset code has been sent to its email.",
+  };
+
+  const { itsNumber, email } = req.body || {};
+  if (!itsNumber && !email) {
+    return res.status(400).json({ message: "ITS number or email required" });
+  }
+
+  try {
+    // ⏱️ Per-IP cap across all accounts (stops one client mailing every member)
+    if (!(await allowResetRequest(req.ip))) {
+      console.warn("🔑 Forgot password: IP over hourly limit:", req.ip);
+      return res.json(genericResponse);
+    }
+
+    const user = await findUserByIdentifier({ itsNumber, email });
+    if (!user || user.status !== "active" || !user.email) {
+      return res.json(genericResponse);
+    }
+
+    // ⏱️ Per-account rate limit: cooldown between requests + hourly cap
+    const now = Date.now();
+    const recent = await PasswordReset.find({
+      user: user._id,
+      createdAt: { $gte: new Date(now - 60 * 60 * 1000) },
+    })
+      .sort({ createdAt: -1 })
+      .select("createdAt")
+      .lean();
+
+    const last = recent[0];
+    if (last && now - new Date(last.createdAt).getTime() < RESET_REQUEST_COOLDOWN_SECONDS * 1000) {
+      console.log("🔑 Forgot password: cooldown active for user:", user._id);
+      return res.json(genericResponse);
+    }
+    if (recent.length >= RESET_REQUESTS_PER_HOUR) {
+      console.log("🔑 Forgot password: hourly cap reached for user:", user._id);
+      return res.json(genericResponse);
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+    // Only the newest code is valid
+    await PasswordReset.updateMany(
+      { user: user._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+
+    await PasswordReset.create({
+      user: user._id,
+      codeHash: hashResetCode(user._id, code),
+      expiresAt: new Date(now + RESET_CODE_TTL_MINUTES * 60 * 1000),
+      ip: req.ip,
+    });
+
+    const { html, text } = passwordResetEmailTemplate({
+      name: user.name,
+      code,
+      expiresInMinutes: RESET_CODE_TTL_MINUTES,
+    });
+
+    await sendMail({
+      to: user.email,
+      subject: "BGI password reset code",
+      text,
+      html,
+    });
+
+    console.log("✅ Password reset code sent to user:", user._id);
+    res.json(genericResponse);
+  } catch (error) {
+    console.error("❌ Forgot password error:", error);
+    res.json(genericResponse);
+  }
+};
+
+// 🔑 Reset password with the mailed code
+export const resetPassword = async (req, res) => {
+  try {
+    const { itsNumber, email, code, newPassword } = req.body || {};
+    if ((!itsNumber && !email) || !code || !newPassword) {
+      return res.status(400).json({ message: "ITS number or email, code and new password required" });
+    }
+
+    const invalid = () => res.status(400).json({ message: "Invalid or expired reset code" });
+
+    const user = await findUserByIdentifier({ itsNumber, email });
+    if (!user || user.status !== "active") return invalid();
+
+    const reset = await PasswordReset.findOne({
+      user: user._id,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+    if (!reset) return invalid();
+
+    // claim one attempt atomically before comparing, so parallel guesses can't exceed the limit
+    const claimed = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, usedAt: null, attempts: { $lt: RESET_CODE_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(429).json({ message: "Too many incorrect attempts. Please request a new code." });
+    }
+
+    const expected = Buffer.from(claimed.codeHash, "hex");
+    const given = Buffer.from(hashResetCode(user._id, String(code).trim()), "hex");
+    if (!crypto.timingSafeEqual(expected, given)) {
+      if (claimed.attempts >= RESET_CODE_MAX_ATTEMPTS) {
+        await PasswordReset.updateOne({ _id: claimed._id, usedAt: null }, { $set: { usedAt: new Date() } });
+      }
+      return invalid();
+    }
+
+    // consume the code; only one request can win this
+    const consumed = await PasswordReset.updateOne(
+      { _id: claimed._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    if (consumed.modifiedCount !== 1) return invalid();
+
+    // pre-save hook hashes the password and revokes existing sessions
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+
+    console.log("✅ Password reset via OTP for user:", user._id);
+    res.json({ message: "Password reset successfully. Please log in with your new password." });
+  } catch (error) {
+    console.error("❌ Reset password error:", error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// 🔌 Change password — clears mustChangePassword and issues a full session
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ msg: "Current and new password required" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ msg: "User not found" });
+
+    // Verify current password
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ msg: "Current password is incorrect" });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ msg: "New password must be different from the current password" });
+    }
+
+    // Update password (pre-save hook bumps tokenVersion → old tokens revoked)
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    await user.save();
+
+    const token = generateToken(user);
+    const refreshToken = await generateRefreshToken(user, req);
+
+    res.json({
+      msg: "Password changed successfully",
+      token,
+      refreshToken,
+      redirectTo: getDashboardRoute(user.role),
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({ msg: "Server error" });
+  }
+};
+
 // ✅ Get user profile
 export const getUserProfile = async (req, res) => {
   try {
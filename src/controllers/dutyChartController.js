@@ -5,90 +5,99 @@
  * Full CRUD controller for DutyChart.
  * Supports Admin/SuperAdmin creation, update, and delete.
  * Members can view assigned charts.
- * Populates only valid ObjectId references to avoid cast errors.
+ * Zone-scoped users (Captains) see and edit only the assignments
+ * that involve members of their own zone.
+ * Renders the printable chart PDF and per-member duty slips.
+ * Create/update report schedule conflicts as warnings, or reject the
+ * save with 409 in strict mode (?strict=true).
+ * Auto-assign proposes a fair-rotation roster without saving it.
+ * A chart may link to its Miqaat; the attendance report compares the
+ * people on the chart with that Miqaat's attendance.
+ * Every save (and delete) records a revision (dutyChartRevisionController.js).
+ * Acknowledgements live on each assignment (see dutySwapController.js);
+ * updates keep them for people who are still on the row.
+ * People are stored as { user } or { externalName } (utils/personRef.js);
+ * requests may still send id-strings or typed names and responses keep
+ * returning user objects or typed names.
  */
 
 import mongoose from "mongoose";
 import DutyChart from "../models/DutyChart.js";
 import User from "../models/user.js";
-import { notifyAllUsers } from "../utils/notifyAllUsers.js";
+import LeaveOfAbsence from "../models/LeaveOfAbsence.js";
+import Miqaat from "../models/Miqaat.js";
+import { notifyChartPublished, notifyChartChanges } from "../utils/dutyChartNotifications.js";
+import { hasPermission, getPermissionScope } from "../utils/permissions.js";
+import {
+  attachUserObjects,
+  userDutyChartFilter,
+  chartRolesForUser,
+  assignmentRoleForUser,
+} from "../utils/dutyChartQueries.js";
+import { renderDutyChartPdf, renderDutySlipPdf } from "../utils/dutyChartPdf.js";
+import {
+  detectChartConflicts,
+  conflictsFor,
+  isStrictRequest,
+  collectReferences,
+  dayBounds,
+  findUnknownUserIds,
+} from "../utils/dutyChartConflicts.js";
+import { proposeRoster, ROSTER_POOL_FILTER } from "../utils/dutyRoster.js";
+import { toPersonRef, personUserId, personKey } from "../utils/personRef.js";
+import { buildDutyAttendanceReport, resolveMiqaatRef } from "../utils/dutyAttendance.js";
+import { commitWithRevision } from "../utils/dutyChartRevisions.js";
 
 /* ---------- Helpers ---------- */
 
-const isAdminOrSuper = (role) => ["Admin", "SuperAdmin"].includes(role);
+const canWrite = (user) => hasPermission(user, "dutychart:write");
 const isMember = (role) => role === "Member";
 
 // Check if value is a valid ObjectId
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
-// helper: keep typed strings or objectId-strings, return null for empty
-const normalizeValue = (val) => {
-  if (val === undefined || val === null) return null;
-  if (typeof val === "string") {
-    const s = val.trim();
-    return s === "" ? null : s;
-  }
-  if (isValidObjectId(val)) return String(val);
-  return val;
-};
-
-/**
- * Attach user objects for any fields that are valid ObjectId strings.
- * Accepts array of docs (plain objects ok or mongoose docs).
- * Returns array of plain objects with replacements done.
- */
-const attachUserObjects = async (docs) => {
-  if (!Array.isArray(docs) || docs.length === 0) return docs;
-  // convert docs to plain objects
-  const plain = docs.map((d) => JSON.parse(JSON.stringify(d)));
-  const idSet = new Set();
-  const pushIfValid = (v) => { if (isValidObjectId(v)) idSet.add(String(v)); };
-
-  for (const doc of plain) {
-    if (doc.jamiatIncharge) pushIfValid(doc.jamiatIncharge);
-    if (doc.eventIncharge?.captain) pushIfValid(doc.eventIncharge.captain);
-    if (doc.eventIncharge?.viceCaptain) pushIfValid(doc.eventIncharge.viceCaptain);
-    if (doc.createdBy) pushIfValid(doc.createdBy);
-    for (const a of doc.assignments || []) {
-      if (a.inchargeOfficer) pushIfValid(a.inchargeOfficer);
-      if (a.subInchargeOfficer) pushIfValid(a.subInchargeOfficer);
-      for (const m of (a.members || [])) pushIfValid(m);
-    }
-  }
+/* ---------- Zone scoping ---------- */
 
-  if (idSet.size === 0) return plain;
+// ids (as strings) of every user in a zone
+const getZoneUserIds = async (zone) => {
+  const users = await User.find({ zone }).select("_id").lean();
+  return new Set(users.map((u) => String(u._id)));
+};
 
-  const ids = Array.from(idSet);
-  const users = await User.find({ _id: { $in: ids } })
-    .select("name surname itsNumber role")
-    .lean();
+// member ids (strings) on an assignment — typed names are skipped
+const assignmentPeople = (a = {}) =>
+  [a.inchargeOfficer, a.subInchargeOfficer, ...(a.members || [])].map(personUserId).filter(Boolean);
 
-  const usersMap = {};
-  users.forEach((u) => (usersMap[String(u._id)] = u));
+const assignmentInvolvesZone = (a, zoneIds) => assignmentPeople(a).some((id) => zoneIds.has(id));
 
-  // replace id strings with user objects where possible
-  for (const doc of plain) {
-    if (doc.jamiatIncharge && usersMap[doc.jamiatIncharge]) doc.jamiatIncharge = usersMap[doc.jamiatIncharge];
-    if (doc.eventIncharge) {
-      if (doc.eventIncharge.captain && usersMap[doc.eventIncharge.captain]) doc.eventIncharge.captain = usersMap[doc.eventIncharge.captain];
-      if (doc.eventIncharge.viceCaptain && usersMap[doc.eventIncharge.viceCaptain]) doc.eventIncharge.viceCaptain = usersMap[doc.eventIncharge.viceCaptain];
-    }
-    if (doc.createdBy && usersMap[doc.createdBy]) doc.createdBy = usersMap[doc.createdBy];
-
-    doc.assignments = (doc.assignments || []).map((a) => {
-      const aa = { ...a };
-      if (aa.inchargeOfficer && usersMap[aa.inchargeOfficer]) aa.inchargeOfficer = usersMap[aa.inchargeOfficer];
-      if (aa.subInchargeOfficer && usersMap[aa.subInchargeOfficer]) aa.subInchargeOfficer = usersMap[aa.subInchargeOfficer];
-      aa.members = (aa.members || []).map((m) => usersMap[m] ? usersMap[m] : m);
-      return aa;
-    });
-  }
+// acknowledgements of people still on the assignment (others are dropped)
+const currentAcknowledgements = (a = {}, acks = []) => {
+  const people = new Set(assignmentPeople(a));
+  return (acks || []).filter((ack) => people.has(String(ack.user)));
+};
 
-  return plain;
+// Mongo filter for charts that have at least one assignment involving the zone
+const zoneChartFilter = (zoneIds) => {
+  const ids = Array.from(zoneIds).map((id) => new mongoose.Types.ObjectId(id));
+  return {
+    $or: [
+      { "assignments.members.user": { $in: ids } },
+      { "assignments.inchargeOfficer.user": { $in: ids } },
+      { "assignments.subInchargeOfficer.user": { $in: ids } },
+    ],
+  };
 };
 
+// Keep only the zone's assignments on a (plain) chart
+const restrictChartToZone = (chart, zoneIds) => ({
+  ...chart,
+  assignments: (chart.assignments || []).filter((a) => assignmentInvolvesZone(a, zoneIds)),
+  zoneScoped: true,
+});
+
 const sendServerError = (res, err, context = "") => {
   console.error("⚠️ DutyChart Error", context, err);
+  if (res.headersSent) return res.end();
   return res.status(500).json({
     success: false,
     message: "Server error",
@@ -100,8 +109,8 @@ const sendServerError = (res, err, context = "") => {
 
 // CREATE
 export const createDutyChart = async (req, res) => {
-  if (!isAdminOrSuper(req.user.role)) {
-    return res.status(403).json({ success: false, message: "Forbidden. Admins only." });
+  if (!canWrite(req.user)) {
+    return res.status(403).json({ success: false, message: "Forbidden. Missing permission." });
   }
 
   try {
@@ -113,6 +122,7 @@ export const createDutyChart = async (req, res) => {
       dutyDate,
       reportingTime,
       dressCode,
+      miqaat,
       assignments = [],
     } = req.body;
 
@@ -124,24 +134,24 @@ export const createDutyChart = async (req, res) => {
       });
     }
 
-    // sanitize assignments (keep typed strings or ObjectId-strings)
+    // sanitize assignments (id-strings → { user }, typed names → { externalName })
     const sanitizeAssignment = (a = {}) => ({
       location: a.location || "",
       area: a.area || "",
-      inchargeOfficer: normalizeValue(a.inchargeOfficer),
-      subInchargeOfficer: normalizeValue(a.subInchargeOfficer),
+      inchargeOfficer: toPersonRef(a.inchargeOfficer),
+      subInchargeOfficer: toPersonRef(a.subInchargeOfficer),
       task: a.task || "",
       team: a.team || "",
-      members: Array.isArray(a.members) ? a.members.map(normalizeValue).filter(Boolean) : [],
+      members: Array.isArray(a.members) ? a.members.map(toPersonRef).filter(Boolean) : [],
     });
 
     const payload = {
       title: title || "Burhani Guards Ujjain Duty Chart",
       eventName,
-      jamiatIncharge: normalizeValue(jamiatIncharge),
+      jamiatIncharge: toPersonRef(jamiatIncharge),
       eventIncharge: {
-        captain: normalizeValue(eventIncharge?.captain),
-        viceCaptain: normalizeValue(eventIncharge?.viceCaptain),
+        captain: toPersonRef(eventIncharge?.captain),
+        viceCaptain: toPersonRef(eventIncharge?.viceCaptain),
       },
       createdBy: req.user._id || req.user.id || null,
       dutyDate,
@@ -151,95 +161,118 @@ export const createDutyChart = async (req, res) => {
     };
 
     // ensure required model-level fields exist (jamiatIncharge is required in schema)
-    if (!payload.jamiatIncharge || (typeof payload.jamiatIncharge === "string" && payload.jamiatIncharge.trim() === "")) {
+    if (!payload.jamiatIncharge) {
   return res.status(400).json({
     success: false,
     message: "Please provide a valid Jamiat Incharge (select or type a name).",
   });
 }
 
-
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    // Validate only real ObjectIds by checking DB existence
-    const referencedUserIds = new Set();
-    if (isValidObjectId(payload.jamiatIncharge)) referencedUserIds.add(payload.jamiatIncharge);
-    if (isValidObjectId(payload.eventIncharge.captain)) referencedUserIds.add(payload.eventIncharge.captain);
-    if (isValidObjectId(payload.eventIncharge.viceCaptain)) referencedUserIds.add(payload.eventIncharge.viceCaptain);
-
-    for (const a of payload.assignments) {
-      if (isValidObjectId(a.inchargeOfficer)) referencedUserIds.add(a.inchargeOfficer);
-      if (isValidObjectId(a.subInchargeOfficer)) referencedUserIds.add(a.subInchargeOfficer);
-      (a.members || []).forEach((m) => { if (isValidObjectId(m)) referencedUserIds.add(m); });
+    if (miqaat !== undefined) {
+      const link = await resolveMiqaatRef(miqaat);
+      if (link.error) return res.status(400).json({ success: false, message: link.error });
+      payload.miqaat = link.miqaat;
     }
 
-    if (referencedUserIds.size > 0) {
-      const refs = Array.from(referencedUserIds);
-      const users = await User.find({ _id: { $in: refs } }).session(session).select("_id");
-      if (users.length !== refs.length) {
-        const found = users.map((u) => String(u._id));
-        const missing = refs.filter((id) => !found.includes(String(id)));
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({
-          success: false,
-          message: "Some referenced user IDs not found",
-          missing,
-        });
-      }
+    // Every referenced user must exist; schedule conflicts are warnings, or a rejection in strict mode
+    const missing = await findUnknownUserIds(payload);
+    if (missing.length > 0)
+      return res.status(400).json({ success: false, message: "Some referenced user IDs not found", missing });
+
+    const conflicts = await detectChartConflicts(payload);
+    if (conflicts.hasConflicts && isStrictRequest(req)) {
+      return res.status(409).json({ success: false, message: "Schedule conflicts found", conflicts });
     }
 
-    // Save
+    // Save (chart + its first revision together)
     const dutyChart = new DutyChart(payload);
-    await dutyChart.save({ session });
-    await session.commitTransaction();
-    session.endSession();
+    await commitWithRevision((session) => dutyChart.save({ session }), {
+      chart: dutyChart,
+      action: "create",
+      changedBy: req.user.id,
+    });
 
     // Return saved doc with user objects attached for valid ObjectIds
     const saved = await DutyChart.findById(dutyChart._id).lean();
     const [populated] = await attachUserObjects([saved]);
-        // --- DEBUG: ensure we reached notification point ---
+
+    // 🔔 Only the people on the chart, each with their own duty
     try {
-      console.log("🔔 [DEBUG] about to call notifyAllUsers for dutyChart:", dutyChart._id?.toString ? dutyChart._id.toString() : dutyChart._id);
-      await notifyAllUsers(
-        "duty",
-        `A new Duty Chart "${eventName}" has been created.`,
-        req.user._id
-      );
-      console.log("🔔 [DEBUG] notifyAllUsers resolved for dutyChart:", dutyChart._id);
+      await notifyChartPublished(saved, req.user._id);
     } catch (notifyErr) {
-      // log full error (not just message) so we don't miss stack traces
-      console.error("⚠️ [DEBUG] notifyAllUsers failed (duty):", notifyErr);
+      console.error("⚠️ notifyChartPublished failed (duty):", notifyErr);
     }
 
-
-
     return res.status(201).json({
       success: true,
       message: "Duty chart created successfully",
       dutyChart: populated,
+      conflicts,
     });
   } catch (err) {
     return sendServerError(res, err, "createDutyChart");
   }
 };
 
+// CONFLICT CHECK (dry run — same body as create/update, nothing is saved)
+export const checkDutyChartConflicts = async (req, res) => {
+  try {
+    const { chartId, dutyDate, jamiatIncharge, eventIncharge = {}, assignments = [] } = req.body || {};
+    if (chartId && !isValidObjectId(chartId))
+      return res.status(400).json({ success: false, message: "Invalid chartId" });
+
+    const draft = {
+      _id: chartId || undefined,
+      dutyDate,
+      jamiatIncharge: toPersonRef(jamiatIncharge),
+      eventIncharge: {
+        captain: toPersonRef(eventIncharge?.captain),
+        viceCaptain: toPersonRef(eventIncharge?.viceCaptain),
+      },
+      assignments: (Array.isArray(assignments) ? assignments : []).map((a = {}) => ({
+        ...a,
+        inchargeOfficer: toPersonRef(a.inchargeOfficer),
+        subInchargeOfficer: toPersonRef(a.subInchargeOfficer),
+        members: Array.isArray(a.members) ? a.members.map(toPersonRef).filter(Boolean) : [],
+      })),
+    };
+    const [conflicts, unknownIds] = await Promise.all([detectChartConflicts(draft), findUnknownUserIds(draft)]);
+
+    return res.json({ success: true, conflicts, unknownIds });
+  } catch (err) {
+    return sendServerError(res, err, "checkDutyChartConflicts");
+  }
+};
+
 // READ ALL
 export const getAllDutyCharts = async (req, res) => {
   try {
-    const { search, from, to, incharge } = req.query;
+    const { search, from, to, incharge, miqaat } = req.query;
     const query = {};
 
     if (search) query.eventName = { $regex: search, $options: "i" };
-    if (incharge) query.jamiatIncharge = incharge;
+    if (incharge) {
+      const ref = toPersonRef(incharge);
+      if (ref?.user) query["jamiatIncharge.user"] = ref.user;
+      else if (ref) query["jamiatIncharge.externalName"] = ref.externalName;
+    }
+    if (miqaat && isValidObjectId(miqaat)) query.miqaat = miqaat;
     if (from && to) query.dutyDate = { $gte: new Date(from), $lte: new Date(to) };
     else if (from) query.dutyDate = { $gte: new Date(from) };
     else if (to) query.dutyDate = { $lte: new Date(to) };
 
-    if (isMember(req.user.role)) query["assignments.members"] = req.user.id;
+    if (isMember(req.user.role)) query["assignments.members.user"] = req.user.id;
 
-    const charts = await DutyChart.find(query).sort({ dutyDate: -1 }).lean();
+    // 🧭 Zone-scoped: only charts (and assignments) involving the zone
+    let zoneIds = null;
+    if (req.scope && !req.scope.all) {
+      zoneIds = await getZoneUserIds(req.scope.zone);
+      if (zoneIds.size === 0) return res.status(200).json({ success: true, charts: [] });
+      Object.assign(query, zoneChartFilter(zoneIds));
+    }
+
+    let charts = await DutyChart.find(query).sort({ dutyDate: -1 }).lean();
+    if (zoneIds) charts = charts.map((c) => restrictChartToZone(c, zoneIds));
     const populated = await attachUserObjects(charts);
 
     res.status(200).json({ success: true, charts: populated });
@@ -248,17 +281,84 @@ export const getAllDutyCharts = async (req, res) => {
   }
 };
 
+// READ MINE (any logged-in user — charts/assignments they are part of)
+export const getMyDutyCharts = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id;
+    const { from, to, upcoming } = req.query;
+
+    const query = userDutyChartFilter(userId);
+    if (upcoming === "true") {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      query.dutyDate = { $gte: today };
+    } else if (from || to) {
+      const range = { $gte: from, $lte: to };
+      query.dutyDate = {};
+      for (const [op, value] of Object.entries(range)) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime()))
+          return res.status(400).json({ success: false, message: `Invalid date: ${value}` });
+        query.dutyDate[op] = date;
+      }
+    }
+
+    const charts = await DutyChart.find(query).sort({ dutyDate: upcoming === "true" ? 1 : -1 }).lean();
+    const populated = await attachUserObjects(charts);
+
+    const duties = populated.map((chart) => ({
+      _id: chart._id,
+      title: chart.title,
+      eventName: chart.eventName,
+      dutyDate: chart.dutyDate,
+      reportingTime: chart.reportingTime,
+      dressCode: chart.dressCode,
+      jamiatIncharge: chart.jamiatIncharge,
+      eventIncharge: chart.eventIncharge,
+      myRoles: chartRolesForUser(chart, userId),
+      assignments: (chart.assignments || [])
+        .map((a) => ({ a, myRole: assignmentRoleForUser(a, userId) }))
+        .filter(({ myRole }) => myRole)
+        .map(({ a, myRole }) => ({
+          _id: a._id,
+          location: a.location,
+          area: a.area,
+          task: a.task,
+          team: a.team,
+          inchargeOfficer: a.inchargeOfficer,
+          subInchargeOfficer: a.subInchargeOfficer,
+          reportingTime: chart.reportingTime,
+          dressCode: chart.dressCode,
+          myRole,
+        })),
+    }));
+
+    return res.json({ success: true, count: duties.length, duties });
+  } catch (err) {
+    return sendServerError(res, err, "getMyDutyCharts");
+  }
+};
+
 // READ SINGLE
 export const getDutyChartById = async (req, res) => {
   try {
-    const chart = await DutyChart.findById(req.params.id).lean();
+    let chart = await DutyChart.findById(req.params.id).lean();
 
     if (!chart)
       return res.status(404).json({ success: false, message: "Duty chart not found" });
 
+    // 🧭 Zone-scoped: hide charts with nothing for the zone
+    if (req.scope && !req.scope.all) {
+      const zoneIds = await getZoneUserIds(req.scope.zone);
+      chart = restrictChartToZone(chart, zoneIds);
+      if (chart.assignments.length === 0)
+        return res.status(404).json({ success: false, message: "Duty chart not found" });
+    }
+
     if (isMember(req.user.role)) {
       const isAssigned = (chart.assignments || []).some((a) =>
-        (a.members || []).some((m) => String(m) === String(req.user.id))
+        (a.members || []).some((m) => personUserId(m) === String(req.user.id))
       );
       if (!isAssigned)
         return res.status(403).json({ success: false, message: "Forbidden. Not assigned to this chart." });
@@ -271,62 +371,440 @@ export const getDutyChartById = async (req, res) => {
   }
 };
 
+// ACKNOWLEDGEMENTS (who has acknowledged, declined or not yet answered; ?status=Pending)
+export const getChartAcknowledgements = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    let chart = await DutyChart.findById(req.params.id).lean();
+    if (!chart) return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    if (req.scope && !req.scope.all) {
+      const zoneIds = await getZoneUserIds(req.scope.zone);
+      chart = restrictChartToZone(chart, zoneIds);
+      if (chart.assignments.length === 0)
+        return res.status(404).json({ success: false, message: "Duty chart not found" });
+    }
+
+    const users = await User.find({ _id: { $in: chart.assignments.flatMap(assignmentPeople) } })
+      .select("name surname itsNumber zone phone")
+      .lean();
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+
+    const summary = { Pending: 0, Acknowledged: 0, Declined: 0 };
+    const rows = chart.assignments.map((a) => {
+      const acks = new Map((a.acknowledgements || []).map((ack) => [String(ack.user), ack]));
+      const spots = [
+        ["Incharge Officer", a.inchargeOfficer],
+        ["Sub-Incharge Officer", a.subInchargeOfficer],
+        ...(a.members || []).map((m) => ["Member", m]),
+      ];
+
+      const people = spots
+        .filter(([, ref]) => personUserId(ref))
+        .map(([role, ref]) => {
+          const id = personUserId(ref);
+          const ack = acks.get(id);
+          const status = ack?.status || "Pending";
+          summary[status]++;
+          return { user: userById.get(id) || id, role, status, reason: ack?.reason || "", at: ack?.at || null };
+        })
+        .filter((p) => !req.query.status || p.status === req.query.status);
+
+      return { _id: a._id, location: a.location, area: a.area, task: a.task, people };
+    });
+
+    return res.json({
+      success: true,
+      chart: { _id: chart._id, eventName: chart.eventName, dutyDate: chart.dutyDate, zoneScoped: !!chart.zoneScoped },
+      summary,
+      assignments: req.query.status ? rows.filter((r) => r.people.length > 0) : rows,
+    });
+  } catch (err) {
+    return sendServerError(res, err, "getChartAcknowledgements");
+  }
+};
+
+// DUTY ATTENDANCE (linked Miqaat's attendance vs. the people on the chart)
+export const getDutyChartAttendance = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    const chart = await DutyChart.findById(req.params.id).lean();
+    if (!chart) return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    // 🧭 Zone-scoped: only the zone's people, on charts that involve the zone
+    let zoneIds = null;
+    if (req.scope && !req.scope.all) {
+      zoneIds = await getZoneUserIds(req.scope.zone);
+      if (!chart.assignments.some((a) => assignmentInvolvesZone(a, zoneIds)))
+        return res.status(404).json({ success: false, message: "Duty chart not found" });
+    }
+
+    if (!chart.miqaat)
+      return res.status(400).json({ success: false, message: "This duty chart is not linked to a Miqaat." });
+
+    const miqaat = await Miqaat.findById(chart.miqaat).select("name location date attendance attendanceClosedAt").lean();
+    if (!miqaat)
+      return res.status(404).json({ success: false, message: "The linked Miqaat no longer exists." });
+
+    const report = buildDutyAttendanceReport(chart, miqaat, { onlyUsers: zoneIds });
+
+    // user ids → user objects
+    const ids = [...report.assigned, ...report.unassigned].map((p) => p.user);
+    const users = await User.find({ _id: { $in: ids } }).select("name surname itsNumber zone phone").lean();
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+    const withUser = (list) => list.map((p) => ({ ...p, user: userById.get(p.user) || p.user }));
+
+    return res.json({
+      success: true,
+      chart: { _id: chart._id, eventName: chart.eventName, dutyDate: chart.dutyDate, reportingTime: chart.reportingTime },
+      miqaat: { _id: miqaat._id, name: miqaat.name, location: miqaat.location, date: miqaat.date, attendanceClosedAt: miqaat.attendanceClosedAt },
+      zoneScoped: !!zoneIds,
+      reportingAt: report.reportingAt,
+      summary: report.summary,
+      assigned: withUser(report.assigned),
+      absent: withUser(report.absent),
+      late: withUser(report.late),
+      unassigned: withUser(report.unassigned),
+    });
+  } catch (err) {
+    return sendServerError(res, err, "getDutyChartAttendance");
+  }
+};
+
+// "Ashara Mubaraka 1447" + date → "ashara-mubaraka-1447-2025-07-06"
+const pdfFilename = (chart, suffix = "") => {
+  const slug = String(chart.eventName || "duty-chart").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  const date = chart.dutyDate ? new Date(chart.dutyDate).toISOString().slice(0, 10) : "";
+  return [slug, date, suffix].filter(Boolean).join("-") + ".pdf";
+};
+
+// PRINTABLE CHART (A4 PDF, assignments grouped by location and area)
+export const getDutyChartPdf = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    let chart = await DutyChart.findById(req.params.id).lean();
+    if (!chart)
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    // 🧭 Zone-scoped: print only the zone's assignments
+    if (req.scope && !req.scope.all) {
+      const zoneIds = await getZoneUserIds(req.scope.zone);
+      chart = restrictChartToZone(chart, zoneIds);
+      if (chart.assignments.length === 0)
+        return res.status(404).json({ success: false, message: "Duty chart not found" });
+    }
+
+    const [populated] = await attachUserObjects([chart]);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${pdfFilename(chart)}"`);
+    renderDutyChartPdf(populated, res);
+  } catch (err) {
+    return sendServerError(res, err, "getDutyChartPdf");
+  }
+};
+
+// DUTY SLIP (A5 PDF per duty with QR) — the member themself ("me") or chart readers
+export const getDutySlip = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    const memberId = req.params.memberId === "me" ? String(req.user.id) : req.params.memberId;
+    if (!isValidObjectId(memberId))
+      return res.status(400).json({ success: false, message: "Invalid member id" });
+
+    const member = await User.findById(memberId).select("name surname itsNumber zone").lean();
+    if (!member)
+      return res.status(404).json({ success: false, message: "Member not found" });
+
+    if (String(memberId) !== String(req.user.id)) {
+      const scope = getPermissionScope(req.user, "dutychart:read");
+      if (!scope || (!scope.all && member.zone !== scope.zone))
+        return res.status(403).json({ success: false, message: "Forbidden" });
+    }
+
+    const chart = await DutyChart.findById(req.params.id).lean();
+    if (!chart)
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    const [populated] = await attachUserObjects([chart]);
+
+    const duties = [
+      ...chartRolesForUser(populated, memberId).map((role) => ({ role })),
+      ...(populated.assignments || [])
+        .map((assignment) => ({ role: assignmentRoleForUser(assignment, memberId), assignment }))
+        .filter(({ role }) => role),
+    ];
+    if (duties.length === 0)
+      return res.status(404).json({ success: false, message: "Member has no duty on this chart" });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${pdfFilename(chart, `slip-${member.itsNumber}`)}"`);
+    await renderDutySlipPdf(populated, member, duties, res);
+  } catch (err) {
+    return sendServerError(res, err, "getDutySlip");
+  }
+};
+
+const DEFAULT_LOOKBACK_DAYS = 90;
+
+// AUTO-ASSIGN (proposal only — the admin tweaks it and saves via PUT /:id)
+export const autoAssignDutyChart = async (req, res) => {
+  try {
+    const chart = await DutyChart.findById(req.params.id).lean();
+    if (!chart)
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+    if (!chart.assignments?.length)
+      return res.status(400).json({ success: false, message: "Add assignment rows (location, area, task) first." });
+
+    const body = req.body || {};
+    const lookbackDays = Math.min(Math.max(Number(body.lookbackDays) || DEFAULT_LOOKBACK_DAYS, 1), 365);
+    const { start, end } = dayBounds(chart.dutyDate);
+    const since = new Date(start);
+    since.setDate(since.getDate() - lookbackDays);
+
+    const [pool, sameDayCharts, recentCharts, leaves] = await Promise.all([
+      User.find(ROSTER_POOL_FILTER).select("name surname itsNumber zone designation").lean(),
+      DutyChart.find({ _id: { $ne: chart._id }, dutyDate: { $gte: start, $lt: end } }).lean(),
+      DutyChart.find({ _id: { $ne: chart._id }, dutyDate: { $gte: since, $lt: start } })
+        .select("jamiatIncharge eventIncharge assignments")
+        .lean(),
+      LeaveOfAbsence.find({ from: { $lt: end }, to: { $gte: start } }).select("member").lean(),
+    ]);
+
+    // busy elsewhere that day, or on leave
+    const unavailable = new Set(leaves.map((l) => String(l.member)));
+    for (const other of sameDayCharts) collectReferences(other).forEach((r) => unavailable.add(r.id));
+
+    // recent duty load: number of charts each member appeared on
+    const load = new Map();
+    for (const past of recentCharts) {
+      for (const id of new Set(collectReferences(past).map((r) => r.id))) load.set(id, (load.get(id) || 0) + 1);
+    }
+
+    const proposal = proposeRoster({
+      chart,
+      pool,
+      load,
+      unavailable,
+      options: {
+        headcount: body.headcount !== undefined ? Number(body.headcount) : undefined,
+        headcounts: body.headcounts,
+        zonePreferences: body.zonePreferences,
+        strictZones: body.strictZones === true || body.strictZones === "true",
+        inchargeDesignations: Array.isArray(body.inchargeDesignations) ? body.inchargeDesignations : undefined,
+        subInchargeDesignations: Array.isArray(body.subInchargeDesignations) ? body.subInchargeDesignations : undefined,
+        keepExisting: body.keepExisting === undefined ? true : String(body.keepExisting) === "true",
+      },
+    });
+
+    return res.json({
+      success: true,
+      message: "Proposed roster — review, then save the assignments with PUT /api/dutychart/:id",
+      dutyChartId: chart._id,
+      lookbackDays,
+      unavailableCount: unavailable.size,
+      remainingPool: proposal.remainingPool,
+      rows: proposal.rows,
+      assignments: proposal.assignments,
+    });
+  } catch (err) {
+    return sendServerError(res, err, "autoAssignDutyChart");
+  }
+};
+
 // UPDATE
 export const updateDutyChart = async (req, res) => {
-  if (!isAdminOrSuper(req.user.role))
+  if (!canWrite(req.user))
     return res.status(403).json({ success: false, message: "Forbidden" });
 
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
   try {
-    const chart = await DutyChart.findById(req.params.id).session(session);
+    const chart = await DutyChart.findById(req.params.id);
     if (!chart) {
-      await session.abortTransaction();
-      session.endSession();
       return res.status(404).json({ success: false, message: "Not found" });
     }
 
-    const sanitizeAssignment = (a = {}) => ({
-      ...a,
-      inchargeOfficer: normalizeValue(a.inchargeOfficer),
-      subInchargeOfficer: normalizeValue(a.subInchargeOfficer),
-      members: Array.isArray(a.members) ? a.members.map(normalizeValue).filter(Boolean) : [],
-    });
+    const before = chart.toObject();
+
+    if (req.body.miqaat !== undefined) {
+      const link = await resolveMiqaatRef(req.body.miqaat);
+      if (link.error) {
+        return res.status(400).json({ success: false, message: link.error });
+      }
+      chart.miqaat = link.miqaat;
+    }
+
+    // acknowledgements are never taken from the client; they carry over by assignment _id
+    const sanitizeAssignment = (a = {}) => {
+      const sanitized = {
+        ...a,
+        inchargeOfficer: toPersonRef(a.inchargeOfficer),
+        subInchargeOfficer: toPersonRef(a.subInchargeOfficer),
+        members: Array.isArray(a.members) ? a.members.map(toPersonRef).filter(Boolean) : [],
+      };
+      const previous = a._id && isValidObjectId(a._id) ? chart.assignments.id(a._id) : null;
+      sanitized.acknowledgements = previous ? currentAcknowledgements(sanitized, previous.acknowledgements) : [];
+      return sanitized;
+    };
 
     const sanitizedAssignments = (req.body.assignments || []).map(sanitizeAssignment);
 
     // assign fields safely (keep existing if incoming value null/undefined)
     chart.title = req.body.title || chart.title;
     chart.eventName = req.body.eventName || chart.eventName;
-    chart.jamiatIncharge = normalizeValue(req.body.jamiatIncharge) || chart.jamiatIncharge;
+    chart.jamiatIncharge = toPersonRef(req.body.jamiatIncharge) || chart.jamiatIncharge;
     chart.dutyDate = req.body.dutyDate || chart.dutyDate;
     chart.reportingTime = req.body.reportingTime || chart.reportingTime;
     chart.dressCode = req.body.dressCode || chart.dressCode;
     chart.eventIncharge = {
-      captain: normalizeValue(req.body.eventIncharge?.captain) || chart.eventIncharge?.captain,
-      viceCaptain: normalizeValue(req.body.eventIncharge?.viceCaptain) || chart.eventIncharge?.viceCaptain,
+      captain: toPersonRef(req.body.eventIncharge?.captain) || chart.eventIncharge?.captain,
+      viceCaptain: toPersonRef(req.body.eventIncharge?.viceCaptain) || chart.eventIncharge?.viceCaptain,
     };
     chart.assignments = sanitizedAssignments.length ? sanitizedAssignments : chart.assignments;
 
-    await chart.save({ session });
-    await session.commitTransaction();
-    session.endSession();
+    const missing = await findUnknownUserIds(chart.toObject());
+    if (missing.length > 0)
+      return res.status(400).json({ success: false, message: "Some referenced user IDs not found", missing });
+
+    const conflicts = await detectChartConflicts(chart.toObject());
+    if (conflicts.hasConflicts && isStrictRequest(req)) {
+      return res.status(409).json({ success: false, message: "Schedule conflicts found", conflicts });
+    }
+
+    await commitWithRevision((session) => chart.save({ session }), {
+      chart,
+      action: "update",
+      changedBy: req.user.id,
+      before,
+    });
 
     const updated = await DutyChart.findById(chart._id).lean();
     const [populated] = await attachUserObjects([updated]);
 
-    return res.json({ success: true, message: "Updated", dutyChart: populated });
+    // 🔔 Tell added, removed and reassigned people what changed
+    try {
+      await notifyChartChanges(before, updated, req.user._id);
+    } catch (notifyErr) {
+      console.error("⚠️ notifyChartChanges failed (duty):", notifyErr);
+    }
+
+    return res.json({ success: true, message: "Updated", dutyChart: populated, conflicts });
   } catch (err) {
-    await session.abortTransaction();
-    session.endSession();
     return sendServerError(res, err, "updateDutyChart");
   }
 };
 
+// UPDATE SINGLE ASSIGNMENT (full or zone-scoped)
+export const updateDutyAssignment = async (req, res) => {
+  try {
+    const { id, assignmentId } = req.params;
+    const chart = await DutyChart.findById(id);
+    if (!chart) return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    const assignment = chart.assignments.id(assignmentId);
+    if (!assignment) return res.status(404).json({ success: false, message: "Assignment not found" });
+
+    const before = chart.toObject();
+
+    const body = req.body || {};
+    const zoned = req.scope && !req.scope.all;
+    const zoneIds = zoned ? await getZoneUserIds(req.scope.zone) : null;
+
+    if (zoned && !assignmentInvolvesZone(assignment, zoneIds))
+      return res.status(404).json({ success: false, message: "Assignment not found" });
+
+    // zone editors may only reference users from their zone (typed names are fine)
+    const outsideZone = (ref) => zoned && personUserId(ref) !== null && !zoneIds.has(personUserId(ref));
+    // ...and only replace or remove people from their zone: typed names and
+    // other zones' users are not theirs to touch
+    const notTheirs = (ref) => zoned && Boolean(ref) && (personUserId(ref) === null || !zoneIds.has(personUserId(ref)));
+
+    for (const field of ["location", "area", "task", "team"]) {
+      if (body[field] !== undefined) assignment[field] = String(body[field]).trim();
+    }
+
+    for (const field of ["inchargeOfficer", "subInchargeOfficer"]) {
+      if (body[field] === undefined) continue;
+      const value = toPersonRef(body[field]);
+      const current = toPersonRef(assignment[field]);
+      if (personKey(value) === personKey(current)) continue;
+      if (notTheirs(current))
+        return res.status(403).json({ success: false, message: `${field} is not from your zone and cannot be replaced.` });
+      if (outsideZone(value))
+        return res.status(403).json({ success: false, message: `${field} must be from your zone.` });
+      assignment[field] = value;
+    }
+
+    if (body.members !== undefined) {
+      if (!Array.isArray(body.members))
+        return res.status(400).json({ success: false, message: "members must be an array." });
+
+      const requested = body.members.map(toPersonRef).filter(Boolean);
+      const foreign = requested.filter(outsideZone).map(personUserId);
+      if (foreign.length > 0)
+        return res.status(403).json({ success: false, message: "Members must be from your zone.", foreign });
+
+      // members from other zones and typed names stay put — a zone editor only controls their own
+      const keep = zoned ? (assignment.members || []).filter(notTheirs) : [];
+      const merged = new Map();
+      for (const ref of [...keep.map(toPersonRef), ...requested]) merged.set(personKey(ref), ref);
+      assignment.members = [...merged.values()];
+    }
+
+    assignment.acknowledgements = currentAcknowledgements(assignment, assignment.acknowledgements);
+
+    const refs = assignmentPeople(assignment);
+    if (refs.length > 0) {
+      const found = await User.find({ _id: { $in: refs } }).select("_id").lean();
+      if (found.length !== new Set(refs).size) {
+        const foundIds = found.map((u) => String(u._id));
+        return res.status(400).json({
+          success: false,
+          message: "Some referenced user IDs not found",
+          missing: refs.filter((r) => !foundIds.includes(r)),
+        });
+      }
+    }
+
+    // zone editors only hear about the people on this assignment
+    const allConflicts = await detectChartConflicts(chart.toObject());
+    const conflicts = zoned ? conflictsFor(allConflicts, assignmentPeople(assignment)) : allConflicts;
+    if (conflicts.hasConflicts && isStrictRequest(req))
+      return res.status(409).json({ success: false, message: "Schedule conflicts found", conflicts });
+
+    await commitWithRevision((session) => chart.save({ session }), {
+      chart,
+      action: "assignment",
+      changedBy: req.user.id,
+      before,
+    });
+
+    const updated = await DutyChart.findById(chart._id).lean();
+    const scoped = zoned ? restrictChartToZone(updated, zoneIds) : updated;
+    const [populated] = await attachUserObjects([scoped]);
+
+    try {
+      await notifyChartChanges(before, updated, req.user._id);
+    } catch (notifyErr) {
+      console.error("⚠️ notifyChartChanges failed (duty):", notifyErr);
+    }
+
+    return res.json({ success: true, message: "Assignment updated", dutyChart: populated, conflicts });
+  } catch (err) {
+    return sendServerError(res, err, "updateDutyAssignment");
+  }
+};
+
 // DELETE
 export const deleteDutyChart = async (req, res) => {
-  if (!isAdminOrSuper(req.user.role))
+  if (!canWrite(req.user))
     return res.status(403).json({ success: false, message: "Forbidden" });
 
   try {
@@ -334,7 +812,12 @@ export const deleteDutyChart = async (req, res) => {
     if (!chart)
       return res.status(404).json({ success: false, message: "Duty chart not found" });
 
-    await DutyChart.findByIdAndDelete(req.params.id);
+    // last snapshot kept with the delete, so the chart can be restored from its history
+    await commitWithRevision((session) => DutyChart.deleteOne({ _id: chart._id }, { session }), {
+      chart,
+      action: "delete",
+      changedBy: req.user.id,
+    });
     return res.json({ success: true, message: "Duty chart deleted successfully" });
   } catch (err) {
     return sendServerError(res, err, "deleteDutyChart");
@@ -0,0 +1,244 @@
+// src/controllers/dutyChartRevisionController.js
+/**
+ * dutyChartRevisionController.js
+ * ------------------------------------------------------------
+ * Change history of duty charts: list revisions, read one, diff any two
+ * (assignment by assignment) and restore a past revision. Revisions are
+ * kept after a chart is deleted, so deleted charts can be brought back
+ * with their original _id.
+ */
+
+import mongoose from "mongoose";
+import DutyChart from "../models/DutyChart.js";
+import DutyChartRevision from "../models/DutyChartRevision.js";
+import Miqaat from "../models/Miqaat.js";
+import User from "../models/user.js";
+import { attachUserObjects } from "../utils/dutyChartQueries.js";
+import { collectReferences, detectChartConflicts, isStrictRequest } from "../utils/dutyChartConflicts.js";
+import { notifyChartChanges } from "../utils/dutyChartNotifications.js";
+import { commitWithRevision, diffSnapshots } from "../utils/dutyChartRevisions.js";
+import { personUserId, personToLegacy } from "../utils/personRef.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const serverErr = (res, err, ctx = "") => {
+  console.error("⚠️ DutyChart Revision Error", ctx, err);
+  return res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: err?.message || String(err),
+  });
+};
+
+// chart content a restore brings back (timestamps and _id stay as they are)
+const RESTORABLE_FIELDS = [
+  "title",
+  "eventName",
+  "jamiatIncharge",
+  "eventIncharge",
+  "createdBy",
+  "dutyDate",
+  "reportingTime",
+  "dressCode",
+  "miqaat",
+  "assignments",
+];
+
+/* ---------- Helpers ---------- */
+
+// revision numbers start at 1; anything else is null so callers can answer 400
+const toRevisionNumber = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 ? n : null;
+};
+
+const findRevision = (chartId, revision) => DutyChartRevision.findOne({ chart: chartId, revision }).lean();
+
+const summarize = (r) => ({
+  _id: r._id,
+  revision: r.revision,
+  action: r.action,
+  note: r.note,
+  changedBy: r.changedBy,
+  createdAt: r.createdAt,
+  eventName: r.snapshot?.eventName,
+  dutyDate: r.snapshot?.dutyDate,
+  assignmentCount: (r.snapshot?.assignments || []).length,
+});
+
+// person ref → user object (or id / typed name), like every other duty chart response
+const personLabeller = async (...snapshots) => {
+  const ids = new Set(snapshots.flatMap((s) => collectReferences(s || {}).map((r) => r.id)));
+  const users = ids.size === 0 ? [] : await User.find({ _id: { $in: Array.from(ids) } }).select("name surname itsNumber").lean();
+  const byId = new Map(users.map((u) => [String(u._id), u]));
+  return (ref) => {
+    const id = personUserId(ref);
+    return id ? byId.get(id) || id : personToLegacy(ref);
+  };
+};
+
+/* ---------- Controller Methods ---------- */
+
+// LIST (newest first, without snapshots)
+export const getChartRevisions = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    const revisions = await DutyChartRevision.find({ chart: req.params.id })
+      .sort({ revision: -1 })
+      .populate("changedBy", "name surname itsNumber")
+      .lean();
+    if (revisions.length === 0)
+      return res.status(404).json({ success: false, message: "No revisions found for this duty chart" });
+
+    const exists = await DutyChart.exists({ _id: req.params.id });
+    return res.json({ success: true, deleted: !exists, revisions: revisions.map(summarize) });
+  } catch (err) {
+    return serverErr(res, err, "getChartRevisions");
+  }
+};
+
+// DELETED CHARTS that can still be restored (latest delete revision per chart)
+export const getDeletedCharts = async (req, res) => {
+  try {
+    const deletions = await DutyChartRevision.find({ action: "delete" })
+      .sort({ createdAt: -1 })
+      .populate("changedBy", "name surname itsNumber")
+      .lean();
+
+    const stillThere = await DutyChart.find({ _id: { $in: deletions.map((d) => d.chart) } }).select("_id").lean();
+    const skip = new Set(stillThere.map((c) => String(c._id)));
+
+    const charts = [];
+    for (const d of deletions) {
+      if (skip.has(String(d.chart))) continue;
+      skip.add(String(d.chart));
+      charts.push({ chart: d.chart, deletedAt: d.createdAt, ...summarize(d) });
+    }
+    return res.json({ success: true, charts });
+  } catch (err) {
+    return serverErr(res, err, "getDeletedCharts");
+  }
+};
+
+// READ ONE REVISION (snapshot with user objects)
+export const getChartRevision = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Revision not found" });
+
+    const number = toRevisionNumber(req.params.revision);
+    if (number === null) return res.status(400).json({ success: false, message: "Invalid revision number" });
+
+    const revision = await findRevision(req.params.id, number);
+    if (!revision) return res.status(404).json({ success: false, message: "Revision not found" });
+
+    const [snapshot] = await attachUserObjects([revision.snapshot]);
+    return res.json({ success: true, revision: { ...summarize(revision), snapshot } });
+  } catch (err) {
+    return serverErr(res, err, "getChartRevision");
+  }
+};
+
+// DIFF (?from=<n>&to=<n|current>; defaults: latest revision vs. the one before)
+export const diffChartRevisions = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    const latest = await DutyChartRevision.findOne({ chart: req.params.id }).sort({ revision: -1 }).select("revision").lean();
+    if (!latest) return res.status(404).json({ success: false, message: "No revisions found for this duty chart" });
+
+    const toParam = req.query.to ?? latest.revision;
+    const toNumber = toParam === "current" ? null : toRevisionNumber(toParam);
+    if (toParam !== "current" && toNumber === null)
+      return res.status(400).json({ success: false, message: "to must be a revision number or \"current\"" });
+
+    const fromParam = req.query.from ?? (toNumber === null ? latest.revision : toNumber - 1);
+    const fromNumber = toRevisionNumber(fromParam);
+    if (fromNumber === null) {
+      // the default "from" of revision 1 is revision 0, which never exists
+      if (req.query.from === undefined)
+        return res.status(404).json({ success: false, message: "Revision not found", from: fromParam, to: toParam });
+      return res.status(400).json({ success: false, message: "from must be a revision number" });
+    }
+
+    let to;
+    if (toParam === "current") {
+      const chart = await DutyChart.findById(req.params.id).lean();
+      if (!chart) return res.status(404).json({ success: false, message: "Duty chart not found (deleted)" });
+      to = { revision: "current", snapshot: chart };
+    } else {
+      to = await findRevision(req.params.id, toNumber);
+    }
+    const from = await findRevision(req.params.id, fromNumber);
+    if (!from || !to)
+      return res.status(404).json({ success: false, message: "Revision not found", from: fromParam, to: toParam });
+
+    const labelOf = await personLabeller(from.snapshot, to.snapshot);
+    return res.json({
+      success: true,
+      from: from.revision,
+      to: to.revision,
+      diff: diffSnapshots(from.snapshot, to.snapshot, labelOf),
+    });
+  } catch (err) {
+    return serverErr(res, err, "diffChartRevisions");
+  }
+};
+
+// RESTORE (overwrites the live chart, or recreates a deleted one with its _id)
+export const restoreChartRevision = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id))
+      return res.status(404).json({ success: false, message: "Revision not found" });
+
+    const number = toRevisionNumber(req.params.revision);
+    if (number === null) return res.status(400).json({ success: false, message: "Invalid revision number" });
+
+    const revision = await findRevision(req.params.id, number);
+    if (!revision) return res.status(404).json({ success: false, message: "Revision not found" });
+
+    const restored = {};
+    for (const field of RESTORABLE_FIELDS) {
+      if (revision.snapshot[field] !== undefined) restored[field] = revision.snapshot[field];
+    }
+    // the Miqaat may have been deleted since
+    if (restored.miqaat && !(await Miqaat.exists({ _id: restored.miqaat }))) restored.miqaat = null;
+
+    let chart = await DutyChart.findById(req.params.id);
+    const before = chart ? chart.toObject() : null;
+    if (chart) chart.set(restored);
+    else chart = new DutyChart({ _id: revision.chart, ...restored });
+
+    const conflicts = await detectChartConflicts(chart.toObject());
+    if (conflicts.hasConflicts && isStrictRequest(req))
+      return res.status(409).json({ success: false, message: "Schedule conflicts found", conflicts });
+
+    await commitWithRevision((session) => chart.save({ session }), {
+      chart,
+      action: "restore",
+      changedBy: req.user.id,
+      before,
+      note: `Restored revision ${revision.revision}`,
+    });
+
+    const updated = await DutyChart.findById(chart._id).lean();
+    try {
+      await notifyChartChanges(before || { assignments: [] }, updated, req.user._id);
+    } catch (notifyErr) {
+      console.error("⚠️ notifyChartChanges failed (duty):", notifyErr);
+    }
+
+    const [populated] = await attachUserObjects([updated]);
+    return res.json({
+      success: true,
+      message: before ? `Restored revision ${revision.revision}` : `Deleted chart recovered from revision ${revision.revision}`,
+      dutyChart: populated,
+      conflicts,
+    });
+  } catch (err) {
+    return serverErr(res, err, "restoreChartRevision");
+  }
+};
@@ -0,0 +1,336 @@
+// src/controllers/dutyChartTemplateController.js
+/**
+ * dutyChartTemplateController.js
+ * ------------------------------------------------------------
+ * Named duty chart layouts for recurring events.
+ * A template keeps locations, areas, tasks, teams and default officers
+ * (never members). Charts can be created from a template, or cloned from
+ * any past chart onto a new dutyDate with optional member carry-over.
+ */
+
+import mongoose from "mongoose";
+import DutyChart from "../models/DutyChart.js";
+import DutyChartTemplate from "../models/DutyChartTemplate.js";
+import User from "../models/user.js";
+import { notifyChartPublished } from "../utils/dutyChartNotifications.js";
+import { attachUserObjects } from "../utils/dutyChartQueries.js";
+import { toPersonRef, personUserId } from "../utils/personRef.js";
+import { detectChartConflicts, isStrictRequest } from "../utils/dutyChartConflicts.js";
+import { resolveMiqaatRef } from "../utils/dutyAttendance.js";
+import { commitWithRevision } from "../utils/dutyChartRevisions.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const serverErr = (res, err, ctx = "") => {
+  console.error("⚠️ DutyChart Template Error", ctx, err);
+  return res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: err?.message || String(err),
+  });
+};
+
+/* ---------- Helpers ---------- */
+
+const layoutAssignment = (a = {}, withMembers = false) => ({
+  location: String(a.location || "").trim(),
+  area: String(a.area || "").trim(),
+  task: String(a.task || "").trim(),
+  team: String(a.team || "").trim(),
+  inchargeOfficer: toPersonRef(a.inchargeOfficer),
+  subInchargeOfficer: toPersonRef(a.subInchargeOfficer),
+  ...(withMembers && {
+    members: Array.isArray(a.members) ? a.members.map(toPersonRef).filter(Boolean) : [],
+  }),
+});
+
+// the reusable part of a chart/template/request body
+const pickLayout = (source = {}, { withMembers = false } = {}) => ({
+  title: source.title || undefined,
+  eventName: source.eventName || undefined,
+  reportingTime: source.reportingTime || undefined,
+  dressCode: source.dressCode || undefined,
+  jamiatIncharge: toPersonRef(source.jamiatIncharge),
+  eventIncharge: {
+    captain: toPersonRef(source.eventIncharge?.captain),
+    viceCaptain: toPersonRef(source.eventIncharge?.viceCaptain),
+  },
+  assignments: (source.assignments || []).map((a) => layoutAssignment(a, withMembers)),
+});
+
+const incompleteAssignments = (assignments) =>
+  assignments
+    .map((a, i) => (!a.location || !a.area || !a.task ? i : null))
+    .filter((i) => i !== null);
+
+/**
+ * Users referenced by a template or an old chart may have been deleted
+ * since. Such ids are cleared (members are dropped) instead of failing;
+ * the cleared ids are returned so the response can report them.
+ */
+const clearMissingUsers = async (layout) => {
+  const refs = new Set();
+  const add = (v) => { const id = personUserId(v); if (id) refs.add(id); };
+  add(layout.jamiatIncharge);
+  add(layout.eventIncharge.captain);
+  add(layout.eventIncharge.viceCaptain);
+  for (const a of layout.assignments) {
+    add(a.inchargeOfficer);
+    add(a.subInchargeOfficer);
+    (a.members || []).forEach(add);
+  }
+  if (refs.size === 0) return [];
+
+  const found = await User.find({ _id: { $in: Array.from(refs) } }).select("_id").lean();
+  const existing = new Set(found.map((u) => String(u._id)));
+  const missing = Array.from(refs).filter((id) => !existing.has(id));
+  if (missing.length === 0) return [];
+
+  const keep = (v) => (personUserId(v) && !existing.has(personUserId(v)) ? null : v);
+  layout.jamiatIncharge = keep(layout.jamiatIncharge);
+  layout.eventIncharge.captain = keep(layout.eventIncharge.captain);
+  layout.eventIncharge.viceCaptain = keep(layout.eventIncharge.viceCaptain);
+  for (const a of layout.assignments) {
+    a.inchargeOfficer = keep(a.inchargeOfficer);
+    a.subInchargeOfficer = keep(a.subInchargeOfficer);
+    if (a.members) a.members = a.members.filter((m) => keep(m) !== null);
+  }
+  return missing;
+};
+
+// overrides from the request win over the template / source chart
+const applyOverrides = (layout, body = {}) => {
+  for (const field of ["title", "eventName", "reportingTime", "dressCode"]) {
+    if (body[field]) layout[field] = body[field];
+  }
+  if (body.jamiatIncharge !== undefined) layout.jamiatIncharge = toPersonRef(body.jamiatIncharge);
+  if (body.eventIncharge?.captain !== undefined) layout.eventIncharge.captain = toPersonRef(body.eventIncharge.captain);
+  if (body.eventIncharge?.viceCaptain !== undefined)
+    layout.eventIncharge.viceCaptain = toPersonRef(body.eventIncharge.viceCaptain);
+  return layout;
+};
+
+// validates, saves and announces a chart built from a layout
+const saveChartFromLayout = async (req, res, layout, dutyDate, extra = {}) => {
+  if (!dutyDate || Number.isNaN(new Date(dutyDate).getTime()))
+    return res.status(400).json({ success: false, message: "A valid dutyDate is required." });
+
+  const missingUsers = await clearMissingUsers(layout);
+
+  if (!layout.eventName || !layout.reportingTime || !layout.dressCode)
+    return res.status(400).json({
+      success: false,
+      message: "Missing required fields: eventName, reportingTime, dressCode are required.",
+    });
+  if (!layout.jamiatIncharge)
+    return res.status(400).json({
+      success: false,
+      message: "Please provide a valid Jamiat Incharge (select or type a name).",
+      missingUsers,
+    });
+
+  if (req.body?.miqaat !== undefined) {
+    const link = await resolveMiqaatRef(req.body.miqaat);
+    if (link.error) return res.status(400).json({ success: false, message: link.error });
+    layout.miqaat = link.miqaat;
+  }
+
+  const payload = {
+    ...layout,
+    title: layout.title || "Burhani Guards Ujjain Duty Chart",
+    dutyDate,
+    createdBy: req.user._id || req.user.id,
+    assignments: layout.assignments.map((a) => ({ ...a, members: a.members || [] })),
+  };
+
+  const conflicts = await detectChartConflicts(payload);
+  if (conflicts.hasConflicts && isStrictRequest(req))
+    return res.status(409).json({ success: false, message: "Schedule conflicts found", conflicts, missingUsers });
+
+  const chart = new DutyChart(payload);
+  await commitWithRevision((session) => chart.save({ session }), {
+    chart,
+    action: "create",
+    changedBy: req.user.id,
+    note: extra.clonedFrom ? `Cloned from ${extra.clonedFrom}` : extra.template ? `From template ${extra.template}` : "",
+  });
+
+  try {
+    await notifyChartPublished(chart.toObject(), req.user._id);
+  } catch (notifyErr) {
+    console.error("⚠️ notifyChartPublished failed (duty):", notifyErr);
+  }
+
+  const [populated] = await attachUserObjects([chart.toObject()]);
+  return res.status(201).json({
+    success: true,
+    message: "Duty chart created successfully",
+    dutyChart: populated,
+    conflicts,
+    missingUsers,
+    ...extra,
+  });
+};
+
+/* ---------- Template CRUD ---------- */
+
+// LIST
+export const getTemplates = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const query = search ? { name: { $regex: search, $options: "i" } } : {};
+
+    const templates = await DutyChartTemplate.find(query).sort({ name: 1 }).lean();
+    const items = templates.map(({ assignments, ...t }) => ({
+      ...t,
+      assignmentCount: (assignments || []).length,
+      locations: [...new Set((assignments || []).map((a) => a.location))],
+    }));
+
+    return res.json({ success: true, templates: items });
+  } catch (err) {
+    return serverErr(res, err, "getTemplates");
+  }
+};
+
+// READ SINGLE
+export const getTemplateById = async (req, res) => {
+  try {
+    const template = await DutyChartTemplate.findById(req.params.templateId).lean();
+    if (!template) return res.status(404).json({ success: false, message: "Template not found" });
+
+    const [populated] = await attachUserObjects([template]);
+    return res.json({ success: true, template: populated });
+  } catch (err) {
+    return serverErr(res, err, "getTemplateById");
+  }
+};
+
+// CREATE (from an existing chart via fromChart, or from the layout in the body)
+export const createTemplate = async (req, res) => {
+  try {
+    const { name, description, fromChart } = req.body;
+    if (!name || !String(name).trim())
+      return res.status(400).json({ success: false, message: "Template name is required." });
+
+    let source = req.body;
+    if (fromChart) {
+      if (!isValidObjectId(fromChart))
+        return res.status(400).json({ success: false, message: "Invalid fromChart id" });
+      source = await DutyChart.findById(fromChart).lean();
+      if (!source) return res.status(404).json({ success: false, message: "Duty chart not found" });
+    }
+
+    const layout = pickLayout(source);
+    if (layout.assignments.length === 0)
+      return res.status(400).json({ success: false, message: "A template needs at least one assignment." });
+    const incomplete = incompleteAssignments(layout.assignments);
+    if (incomplete.length > 0)
+      return res.status(400).json({
+        success: false,
+        message: "Every assignment needs location, area and task.",
+        incomplete,
+      });
+
+    const template = await DutyChartTemplate.create({
+      ...layout,
+      name: String(name).trim(),
+      description: description || "",
+      sourceChart: fromChart || undefined,
+      createdBy: req.user._id || req.user.id,
+    });
+
+    return res.status(201).json({ success: true, message: "Template saved", template });
+  } catch (err) {
+    if (err?.code === 11000)
+      return res.status(409).json({ success: false, message: "A template with this name already exists." });
+    return serverErr(res, err, "createTemplate");
+  }
+};
+
+// UPDATE (name, description, defaults and/or the whole assignment layout)
+export const updateTemplate = async (req, res) => {
+  try {
+    const template = await DutyChartTemplate.findById(req.params.templateId);
+    if (!template) return res.status(404).json({ success: false, message: "Template not found" });
+
+    const body = req.body || {};
+    if (body.name !== undefined) {
+      if (!String(body.name).trim())
+        return res.status(400).json({ success: false, message: "Template name cannot be empty." });
+      template.name = String(body.name).trim();
+    }
+    if (body.description !== undefined) template.description = body.description;
+    for (const field of ["title", "eventName", "reportingTime", "dressCode"]) {
+      if (body[field] !== undefined) template[field] = body[field];
+    }
+    if (body.jamiatIncharge !== undefined) template.jamiatIncharge = toPersonRef(body.jamiatIncharge);
+    if (body.eventIncharge !== undefined) {
+      template.eventIncharge = {
+        captain: toPersonRef(body.eventIncharge?.captain),
+        viceCaptain: toPersonRef(body.eventIncharge?.viceCaptain),
+      };
+    }
+
+    if (body.assignments !== undefined) {
+      if (!Array.isArray(body.assignments) || body.assignments.length === 0)
+        return res.status(400).json({ success: false, message: "A template needs at least one assignment." });
+      const assignments = body.assignments.map((a) => layoutAssignment(a));
+      const incomplete = incompleteAssignments(assignments);
+      if (incomplete.length > 0)
+        return res.status(400).json({
+          success: false,
+          message: "Every assignment needs location, area and task.",
+          incomplete,
+        });
+      template.assignments = assignments;
+    }
+
+    await template.save();
+    return res.json({ success: true, message: "Template updated", template });
+  } catch (err) {
+    if (err?.code === 11000)
+      return res.status(409).json({ success: false, message: "A template with this name already exists." });
+    return serverErr(res, err, "updateTemplate");
+  }
+};
+
+// DELETE
+export const deleteTemplate = async (req, res) => {
+  try {
+    const template = await DutyChartTemplate.findByIdAndDelete(req.params.templateId);
+    if (!template) return res.status(404).json({ success: false, message: "Template not found" });
+    return res.json({ success: true, message: "Template deleted" });
+  } catch (err) {
+    return serverErr(res, err, "deleteTemplate");
+  }
+};
+
+/* ---------- Chart creation ---------- */
+
+// NEW CHART FROM TEMPLATE (body: dutyDate + optional overrides)
+export const createChartFromTemplate = async (req, res) => {
+  try {
+    const template = await DutyChartTemplate.findById(req.params.templateId).lean();
+    if (!template) return res.status(404).json({ success: false, message: "Template not found" });
+
+    const layout = applyOverrides(pickLayout(template), req.body);
+    return await saveChartFromLayout(req, res, layout, req.body?.dutyDate, { template: template._id });
+  } catch (err) {
+    return serverErr(res, err, "createChartFromTemplate");
+  }
+};
+
+// CLONE A PAST CHART (body: dutyDate, carryMembers=false + optional overrides)
+export const cloneDutyChart = async (req, res) => {
+  try {
+    const source = await DutyChart.findById(req.params.id).lean();
+    if (!source) return res.status(404).json({ success: false, message: "Duty chart not found" });
+
+    const carryMembers = String(req.body?.carryMembers ?? "false") === "true";
+    const layout = applyOverrides(pickLayout(source, { withMembers: carryMembers }), req.body);
+    return await saveChartFromLayout(req, res, layout, req.body?.dutyDate, { clonedFrom: source._id, carryMembers });
+  } catch (err) {
+    return serverErr(res, err, "cloneDutyChart");
+  }
+};
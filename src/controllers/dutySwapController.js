@@ -0,0 +1,373 @@
+// src/controllers/dutySwapController.js
+/**
+ * dutySwapController.js
+ * ------------------------------------------------------------
+ * What a member can do with their own duty:
+ *   - acknowledge it, or decline it with a reason
+ *   - ask a named colleague to swap; the colleague accepts, then the
+ *     zone Captain (dutychart:write:zone) or an Admin approves
+ * Approved swaps replace the requester on the assignment in place; the
+ * DutySwapRequest documents stay behind as the swap history.
+ */
+
+import mongoose from "mongoose";
+import DutyChart from "../models/DutyChart.js";
+import DutySwapRequest from "../models/DutySwapRequest.js";
+import User from "../models/user.js";
+import { personUserId } from "../utils/personRef.js";
+import { notifyPersonal } from "../utils/dutyChartNotifications.js";
+import { detectChartConflicts, conflictsFor, isStrictRequest } from "../utils/dutyChartConflicts.js";
+import { commitWithRevision } from "../utils/dutyChartRevisions.js";
+
+const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const serverErr = (res, err, ctx = "") => {
+  console.error("⚠️ Duty Swap Error", ctx, err);
+  return res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: err?.message || String(err),
+  });
+};
+
+/* ---------- Helpers ---------- */
+
+// which spot the user holds on an assignment, or null
+const spotOf = (assignment, userId) => {
+  const id = String(userId);
+  if (personUserId(assignment.inchargeOfficer) === id) return "inchargeOfficer";
+  if (personUserId(assignment.subInchargeOfficer) === id) return "subInchargeOfficer";
+  if ((assignment.members || []).some((m) => personUserId(m) === id)) return "members";
+  return null;
+};
+
+const describeDuty = (chart, assignment) =>
+  `"${chart.eventName}" on ${new Date(chart.dutyDate).toLocaleDateString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  })} at ${[assignment.location, assignment.area].filter(Boolean).join(" / ")}`;
+
+const fullName = (u) => [u?.name, u?.surname].filter(Boolean).join(" ") || "A member";
+
+// chart + assignment the current user is on (hydrated, for saving)
+const loadOwnAssignment = async (req, res) => {
+  const { id, assignmentId } = req.params;
+  if (!isValidObjectId(id) || !isValidObjectId(assignmentId)) {
+    res.status(404).json({ success: false, message: "Assignment not found" });
+    return null;
+  }
+
+  const chart = await DutyChart.findById(id);
+  const assignment = chart?.assignments.id(assignmentId);
+  if (!assignment) {
+    res.status(404).json({ success: false, message: "Assignment not found" });
+    return null;
+  }
+
+  const spot = spotOf(assignment, req.user.id);
+  if (!spot) {
+    res.status(403).json({ success: false, message: "You are not on this assignment." });
+    return null;
+  }
+  return { chart, assignment, spot };
+};
+
+const setAcknowledgement = (assignment, userId, status, reason = "") => {
+  assignment.acknowledgements = [
+    ...(assignment.acknowledgements || []).filter((a) => String(a.user) !== String(userId)),
+    { user: userId, status, reason, at: new Date() },
+  ];
+};
+
+const notifySafely = async (messages, chart, createdBy) => {
+  try {
+    await notifyPersonal(messages, chart, createdBy);
+  } catch (notifyErr) {
+    console.error("⚠️ notifyPersonal failed (duty swap):", notifyErr);
+  }
+};
+
+const populateSwap = (query) =>
+  query
+    .populate("dutyChart", "eventName title dutyDate reportingTime")
+    .populate("requester", "name surname itsNumber zone")
+    .populate("colleague", "name surname itsNumber zone")
+    .populate("decidedBy", "name surname");
+
+/* ---------- Acknowledgement ---------- */
+
+// ACKNOWLEDGE own assignment
+export const acknowledgeAssignment = async (req, res) => {
+  try {
+    const found = await loadOwnAssignment(req, res);
+    if (!found) return;
+
+    setAcknowledgement(found.assignment, req.user.id, "Acknowledged");
+    await found.chart.save();
+
+    return res.json({ success: true, message: "Duty acknowledged" });
+  } catch (err) {
+    return serverErr(res, err, "acknowledgeAssignment");
+  }
+};
+
+// DECLINE own assignment (reason required; the chart's creator is told)
+export const declineAssignment = async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason)
+      return res.status(400).json({ success: false, message: "Please give a reason for declining." });
+
+    const found = await loadOwnAssignment(req, res);
+    if (!found) return;
+    const { chart, assignment } = found;
+
+    setAcknowledgement(assignment, req.user.id, "Declined", reason);
+    await chart.save();
+
+    const me = await User.findById(req.user.id).select("name surname itsNumber").lean();
+    await notifySafely(
+      new Map([[String(chart.createdBy), `${fullName(me)} (${me?.itsNumber}) declined duty ${describeDuty(chart, assignment)}: ${reason}`]]),
+      chart,
+      req.user._id
+    );
+
+    return res.json({ success: true, message: "Duty declined" });
+  } catch (err) {
+    return serverErr(res, err, "declineAssignment");
+  }
+};
+
+/* ---------- Swap requests ---------- */
+
+// REQUEST a swap with a named colleague (body: colleagueId, reason)
+export const requestSwap = async (req, res) => {
+  try {
+    const { colleagueId, reason } = req.body || {};
+    if (!colleagueId || !isValidObjectId(colleagueId))
+      return res.status(400).json({ success: false, message: "A valid colleagueId is required." });
+    if (String(colleagueId) === String(req.user.id))
+      return res.status(400).json({ success: false, message: "You cannot swap with yourself." });
+
+    const found = await loadOwnAssignment(req, res);
+    if (!found) return;
+    const { chart, assignment, spot } = found;
+
+    const colleague = await User.findById(colleagueId).select("name surname itsNumber status").lean();
+    if (!colleague || colleague.status !== "active")
+      return res.status(404).json({ success: false, message: "Colleague not found or inactive." });
+    if (spotOf(assignment, colleagueId))
+      return res.status(400).json({ success: false, message: "Your colleague is already on this assignment." });
+
+    const open = await DutySwapRequest.findOne({
+      assignment: assignment._id,
+      requester: req.user.id,
+      status: { $in: ["Pending Colleague", "Pending Approval"] },
+    });
+    if (open)
+      return res.status(409).json({ success: false, message: "You already have an open swap request for this duty." });
+
+    const swap = await DutySwapRequest.create({
+      dutyChart: chart._id,
+      assignment: assignment._id,
+      field: spot,
+      requester: req.user.id,
+      colleague: colleague._id,
+      reason: reason || "",
+    });
+
+    const me = await User.findById(req.user.id).select("name surname").lean();
+    await notifySafely(
+      new Map([[String(colleague._id), `${fullName(me)} asked you to take over their duty ${describeDuty(chart, assignment)}. Please accept or decline.`]]),
+      chart,
+      req.user._id
+    );
+
+    return res.status(201).json({ success: true, message: "Swap requested", swap });
+  } catch (err) {
+    return serverErr(res, err, "requestSwap");
+  }
+};
+
+// MY SWAPS (as requester or colleague)
+export const getMySwaps = async (req, res) => {
+  try {
+    const query = { $or: [{ requester: req.user.id }, { colleague: req.user.id }] };
+    if (req.query.status) query.status = req.query.status;
+
+    const swaps = await populateSwap(DutySwapRequest.find(query).sort({ createdAt: -1 })).lean();
+    return res.json({ success: true, swaps });
+  } catch (err) {
+    return serverErr(res, err, "getMySwaps");
+  }
+};
+
+// COLLEAGUE ACCEPTS / DECLINES (body: accept: true|false)
+export const respondToSwap = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.swapId))
+      return res.status(404).json({ success: false, message: "Swap request not found" });
+
+    const swap = await DutySwapRequest.findById(req.params.swapId);
+    if (!swap || String(swap.colleague) !== String(req.user.id))
+      return res.status(404).json({ success: false, message: "Swap request not found" });
+    if (swap.status !== "Pending Colleague")
+      return res.status(409).json({ success: false, message: `Swap request is already ${swap.status}.` });
+
+    const accept = req.body?.accept === true || req.body?.accept === "true";
+    swap.status = accept ? "Pending Approval" : "Declined by Colleague";
+    swap.colleagueRespondedAt = new Date();
+    await swap.save();
+
+    const chart = await DutyChart.findById(swap.dutyChart).lean();
+    const assignment = chart?.assignments.find((a) => String(a._id) === String(swap.assignment));
+    if (chart && assignment) {
+      const colleague = await User.findById(req.user.id).select("name surname").lean();
+      await notifySafely(
+        new Map([[
+          String(swap.requester),
+          accept
+            ? `${fullName(colleague)} accepted your swap for ${describeDuty(chart, assignment)}. Waiting for approval.`
+            : `${fullName(colleague)} declined your swap for ${describeDuty(chart, assignment)}.`,
+        ]]),
+        chart,
+        req.user._id
+      );
+    }
+
+    return res.json({ success: true, message: accept ? "Swap accepted — waiting for approval" : "Swap declined", swap });
+  } catch (err) {
+    return serverErr(res, err, "respondToSwap");
+  }
+};
+
+// REQUESTER CANCELS while still pending
+export const cancelSwap = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.swapId))
+      return res.status(404).json({ success: false, message: "Swap request not found" });
+
+    const swap = await DutySwapRequest.findById(req.params.swapId);
+    if (!swap || String(swap.requester) !== String(req.user.id))
+      return res.status(404).json({ success: false, message: "Swap request not found" });
+    if (!["Pending Colleague", "Pending Approval"].includes(swap.status))
+      return res.status(409).json({ success: false, message: `Swap request is already ${swap.status}.` });
+
+    swap.status = "Cancelled";
+    await swap.save();
+    return res.json({ success: true, message: "Swap request cancelled", swap });
+  } catch (err) {
+    return serverErr(res, err, "cancelSwap");
+  }
+};
+
+// APPROVER QUEUE (?status=Pending Approval by default, ?chart=<id>); Captains see their zone
+export const getSwapRequests = async (req, res) => {
+  try {
+    const query = { status: req.query.status || "Pending Approval" };
+    if (req.query.status === "All") delete query.status;
+    if (req.query.chart && isValidObjectId(req.query.chart)) query.dutyChart = req.query.chart;
+
+    if (req.scope && !req.scope.all) {
+      const zoneUsers = await User.find({ zone: req.scope.zone }).select("_id").lean();
+      query.requester = { $in: zoneUsers.map((u) => u._id) };
+    }
+
+    const swaps = await populateSwap(DutySwapRequest.find(query).sort({ createdAt: -1 })).lean();
+    return res.json({ success: true, swaps });
+  } catch (err) {
+    return serverErr(res, err, "getSwapRequests");
+  }
+};
+
+// APPROVE / REJECT (body: approve: true|false, note; ?strict=true refuses a conflicting approval)
+export const decideSwap = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.swapId))
+      return res.status(404).json({ success: false, message: "Swap request not found" });
+
+    const swap = await DutySwapRequest.findById(req.params.swapId).populate("requester", "name surname zone");
+    if (!swap) return res.status(404).json({ success: false, message: "Swap request not found" });
+
+    // 🧭 Captains decide only for their own zone's members
+    if (req.scope && !req.scope.all && swap.requester?.zone !== req.scope.zone)
+      return res.status(404).json({ success: false, message: "Swap request not found" });
+    if (swap.status !== "Pending Approval")
+      return res.status(409).json({ success: false, message: `Swap request is ${swap.status}, not awaiting approval.` });
+
+    const chart = await DutyChart.findById(swap.dutyChart);
+    const assignment = chart?.assignments.id(swap.assignment);
+    if (!assignment) return res.status(404).json({ success: false, message: "The assignment no longer exists." });
+
+    const approve = req.body?.approve === true || req.body?.approve === "true";
+    const requesterId = String(swap.requester._id);
+    const colleagueId = String(swap.colleague);
+
+    let conflicts = null;
+    if (approve) {
+      const before = chart.toObject();
+      if (spotOf(assignment, requesterId) !== swap.field)
+        return res.status(409).json({ success: false, message: "The requester no longer holds this spot." });
+      if (spotOf(assignment, colleagueId))
+        return res.status(409).json({ success: false, message: "The colleague is already on this assignment." });
+
+      // in place: the colleague takes exactly the requester's spot
+      const colleagueRef = { user: swap.colleague };
+      if (swap.field === "members") {
+        assignment.members = assignment.members.map((m) => (personUserId(m) === requesterId ? colleagueRef : m));
+      } else {
+        assignment[swap.field] = colleagueRef;
+      }
+      assignment.acknowledgements = (assignment.acknowledgements || []).filter((a) => String(a.user) !== requesterId);
+      setAcknowledgement(assignment, swap.colleague, "Acknowledged");
+
+      // same checks as an assignment edit, for the person coming onto the duty
+      // (double-booked, on another chart that day, on leave, inactive)
+      conflicts = conflictsFor(await detectChartConflicts(chart.toObject()), [colleagueId]);
+      if (conflicts.hasConflicts && isStrictRequest(req))
+        return res.status(409).json({ success: false, message: "The colleague has schedule conflicts", conflicts });
+
+      await commitWithRevision((session) => chart.save({ session }), {
+        chart,
+        action: "swap",
+        changedBy: req.user.id,
+        before,
+        note: `Swap request ${swap._id}`,
+      });
+    }
+
+    swap.status = approve ? "Approved" : "Rejected";
+    swap.decidedBy = req.user.id;
+    swap.decidedAt = new Date();
+    swap.decisionNote = req.body?.note || "";
+    await swap.save();
+
+    const duty = describeDuty(chart, assignment);
+    const note = swap.decisionNote ? ` Note: ${swap.decisionNote}` : "";
+    await notifySafely(
+      new Map(
+        approve
+          ? [
+              [requesterId, `Your swap for ${duty} was approved. You are no longer on this duty.${note}`],
+              [colleagueId, `The swap was approved: you now have duty ${duty}.${note}`],
+            ]
+          : [
+              [requesterId, `Your swap for ${duty} was rejected. You are still on this duty.${note}`],
+              [colleagueId, `The swap for ${duty} was rejected.${note}`],
+            ]
+      ),
+      chart,
+      req.user._id
+    );
+
+    return res.json({
+      success: true,
+      message: approve ? "Swap approved" : "Swap rejected",
+      swap,
+      ...(conflicts && { conflicts }),
+    });
+  } catch (err) {
+    return serverErr(res, err, "decideSwap");
+  }
+};
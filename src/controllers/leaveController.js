@@ -0,0 +1,100 @@
+// src/controllers/leaveController.js
+/**
+ * leaveController.js
+ * ------------------------------------------------------------
+ * Leaves of absence per member. Duty chart conflict checks warn when a
+ * member on leave is assigned. Zone-scoped users (Captains) manage only
+ * their own zone's members.
+ */
+
+import mongoose from "mongoose";
+import LeaveOfAbsence from "../models/LeaveOfAbsence.js";
+import User from "../models/user.js";
+
+const serverErr = (res, err, ctx = "") => {
+  console.error("⚠️ Leave Error", ctx, err);
+  return res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: err?.message || String(err),
+  });
+};
+
+// member must exist and, for zone-scoped users, be in their zone
+const findScopedMember = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  const member = await User.findById(req.params.id).select("name surname itsNumber zone").lean();
+  if (!member) return null;
+  if (req.scope && !req.scope.all && member.zone !== req.scope.zone) return null;
+  return member;
+};
+
+// LIST (?upcoming=true → only leaves that have not ended)
+export const getMemberLeaves = async (req, res) => {
+  try {
+    const member = await findScopedMember(req);
+    if (!member) return res.status(404).json({ success: false, message: "Member not found" });
+
+    const query = { member: member._id };
+    if (req.query.upcoming === "true") {
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      query.to = { $gte: today };
+    }
+
+    const leaves = await LeaveOfAbsence.find(query).sort({ from: -1 }).lean();
+    return res.json({ success: true, member, leaves });
+  } catch (err) {
+    return serverErr(res, err, "getMemberLeaves");
+  }
+};
+
+// CREATE (body: from, to, reason)
+export const createMemberLeave = async (req, res) => {
+  try {
+    const member = await findScopedMember(req);
+    if (!member) return res.status(404).json({ success: false, message: "Member not found" });
+
+    const { from, to, reason } = req.body || {};
+    const start = new Date(from);
+    const end = new Date(to || from);
+    if (!from || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()))
+      return res.status(400).json({ success: false, message: "Valid from/to dates are required." });
+    if (end < start)
+      return res.status(400).json({ success: false, message: "'to' cannot be before 'from'." });
+
+    // whole days: from 00:00 to the end of the last day
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+
+    const leave = await LeaveOfAbsence.create({
+      member: member._id,
+      from: start,
+      to: end,
+      reason: reason || "",
+      recordedBy: req.user._id || req.user.id,
+    });
+
+    return res.status(201).json({ success: true, message: "Leave recorded", leave });
+  } catch (err) {
+    return serverErr(res, err, "createMemberLeave");
+  }
+};
+
+// DELETE
+export const deleteMemberLeave = async (req, res) => {
+  try {
+    const member = await findScopedMember(req);
+    if (!member) return res.status(404).json({ success: false, message: "Member not found" });
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.leaveId))
+      return res.status(404).json({ success: false, message: "Leave not found" });
+
+    const leave = await LeaveOfAbsence.findOneAndDelete({ _id: req.params.leaveId, member: member._id });
+    if (!leave) return res.status(404).json({ success: false, message: "Leave not found" });
+
+    return res.json({ success: true, message: "Leave removed" });
+  } catch (err) {
+    return serverErr(res, err, "deleteMemberLeave");
+  }
+};
@@ -0,0 +1,218 @@
+// src/controllers/memberExportController.js
+/**
+ * memberExportController.js
+ * ------------------------------------------------------------
+ * Streams the member directory as CSV, XLSX or a paginated PDF roster.
+ * Honors the same filters as GET /api/auth/members. Only whitelisted
+ * columns can be exported — passwords and internal fields never are.
+ */
+
+import fs from "fs";
+import path from "path";
+import ExcelJS from "exceljs";
+import PDFDocument from "pdfkit";
+import User from "../models/user.js";
+import { buildMemberQuery } from "../utils/memberFilters.js";
+
+// The only fields that may ever leave the server, in default order
+const EXPORT_COLUMNS = {
+  name: "Name",
+  surname: "Surname",
+  itsNumber: "ITS Number",
+  email: "Email",
+  mobile: "Mobile",
+  whatsapp: "WhatsApp",
+  zone: "Zone",
+  role: "Role",
+  designation: "Designation",
+  status: "Status",
+  createdAt: "Joined",
+};
+
+const DEFAULT_COLUMNS = ["name", "surname", "itsNumber", "mobile", "zone", "role", "designation", "status"];
+const FORMATS = ["csv", "xlsx", "pdf"];
+
+const UPLOADS_ROOT = path.resolve("uploads");
+const PDF_PHOTO_EXTENSIONS = [".png", ".jpg", ".jpeg"]; // what pdfkit can embed
+
+const serverErr = (res, err, ctx = "") => {
+  console.error("⚠️ Member Export Error", ctx, err);
+  if (res.headersSent) return res.end();
+  return res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: err?.message || String(err),
+  });
+};
+
+const parseColumns = (raw) => {
+  if (!raw) return { columns: DEFAULT_COLUMNS, unknown: [] };
+  const requested = String(raw).split(",").map((c) => c.trim()).filter(Boolean);
+  return {
+    columns: [...new Set(requested.filter((c) => EXPORT_COLUMNS[c]))],
+    unknown: requested.filter((c) => !EXPORT_COLUMNS[c]),
+  };
+};
+
+const formatValue = (member, column) => {
+  const value = member[column];
+  if (value === null || value === undefined) return "";
+  if (column === "createdAt") return new Date(value).toISOString().slice(0, 10);
+  return String(value);
+};
+
+// A leading = + - @ (or tab / CR) would make spreadsheet apps run a CSV cell as a formula.
+// XLSX cells are written as typed strings, so they go out as-is.
+const spreadsheetSafe = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const csvEscape = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// "/uploads/profiles/x.png" → absolute path, only if it stays inside uploads/
+const resolveProfilePhoto = (profilePicture) => {
+  if (!profilePicture || typeof profilePicture !== "string") return null;
+  const relative = profilePicture.replace(/^\/?uploads\//, "");
+  const file = path.resolve(UPLOADS_ROOT, relative);
+  if (!file.startsWith(UPLOADS_ROOT + path.sep)) return null;
+  if (!PDF_PHOTO_EXTENSIONS.includes(path.extname(file).toLowerCase())) return null;
+  return fs.existsSync(file) ? file : null;
+};
+
+/* ---------- Writers ---------- */
+
+const streamCsv = async (cursor, columns, res) => {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.write(columns.map((c) => csvEscape(EXPORT_COLUMNS[c])).join(",") + "\r\n");
+  for await (const member of cursor) {
+    res.write(columns.map((c) => csvEscape(spreadsheetSafe(formatValue(member, c)))).join(",") + "\r\n");
+  }
+  res.end();
+};
+
+const streamXlsx = async (cursor, columns, res) => {
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet("Members");
+  sheet.columns = columns.map((c) => ({ header: EXPORT_COLUMNS[c], key: c, width: 18 }));
+
+  for await (const member of cursor) {
+    const row = {};
+    columns.forEach((c) => (row[c] = formatValue(member, c)));
+    sheet.addRow(row).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+const streamPdf = async (cursor, columns, res, { title, photos }) => {
+  res.setHeader("Content-Type", "application/pdf");
+
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 36 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - left - doc.page.margins.right;
+  const photoWidth = photos ? 40 : 0;
+  const colWidth = (usableWidth - photoWidth) / columns.length;
+  const rowHeight = photos ? 38 : 20;
+  const bottom = doc.page.height - doc.page.margins.bottom - 20;
+  let pageNumber = 1;
+  let y;
+
+  const drawHeader = () => {
+    doc.font("Helvetica-Bold").fontSize(14).text(title, left, doc.page.margins.top);
+    doc.font("Helvetica").fontSize(8).fillColor("#666")
+      .text(`Generated ${new Date().toLocaleString()}  ·  Page ${pageNumber}`, left, doc.y + 2);
+    doc.fillColor("#000");
+
+    y = doc.y + 8;
+    doc.rect(left, y, usableWidth, 18).fill("#1976d2");
+    doc.fillColor("#fff").font("Helvetica-Bold").fontSize(9);
+    if (photos) doc.text("Photo", left + 4, y + 5, { width: photoWidth - 4 });
+    columns.forEach((c, i) => {
+      doc.text(EXPORT_COLUMNS[c], left + photoWidth + i * colWidth + 4, y + 5, { width: colWidth - 8, ellipsis: true });
+    });
+    doc.fillColor("#000").font("Helvetica").fontSize(9);
+    y += 18;
+  };
+
+  drawHeader();
+
+  let index = 0;
+  for await (const member of cursor) {
+    if (y + rowHeight > bottom) {
+      doc.addPage();
+      pageNumber++;
+      drawHeader();
+    }
+
+    if (index % 2 === 1) doc.rect(left, y, usableWidth, rowHeight).fill("#f3f6fb").fillColor("#000");
+
+    if (photos) {
+      // pdfkit embeds each file once and reuses it for repeated paths
+      const photo = resolveProfilePhoto(member.profilePicture);
+      if (photo) {
+        try {
+          doc.image(photo, left + 4, y + 3, { fit: [rowHeight - 6, rowHeight - 6] });
+        } catch (imgErr) {
+          console.warn("⚠️ Skipping unreadable profile photo:", photo, imgErr.message);
+        }
+      }
+    }
+
+    columns.forEach((c, i) => {
+      doc.text(formatValue(member, c), left + photoWidth + i * colWidth + 4, y + rowHeight / 2 - 4, {
+        width: colWidth - 8,
+        height: rowHeight - 4,
+        ellipsis: true,
+      });
+    });
+
+    y += rowHeight;
+    index++;
+  }
+
+  if (index === 0) doc.text("No members match the selected filters.", left, y + 10);
+
+  doc.end();
+};
+
+/* ---------- Controller ---------- */
+
+// EXPORT (?format=csv|xlsx|pdf&columns=name,itsNumber,...&photos=false + member filters)
+export const exportMembers = async (req, res) => {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    if (!FORMATS.includes(format))
+      return res.status(400).json({ success: false, message: `format must be one of ${FORMATS.join(", ")}` });
+
+    const { columns, unknown } = parseColumns(req.query.columns);
+    if (unknown.length > 0)
+      return res.status(400).json({
+        success: false,
+        message: "Unknown or non-exportable columns",
+        unknown,
+        allowed: Object.keys(EXPORT_COLUMNS),
+      });
+    if (columns.length === 0)
+      return res.status(400).json({ success: false, message: "Select at least one column." });
+
+    const query = buildMemberQuery(req.query, req.scope);
+    const photos = format === "pdf" && String(req.query.photos ?? "true") !== "false";
+
+    // Select only whitelisted fields — nothing else is ever read from the DB
+    const fields = [...columns, ...(photos ? ["profilePicture"] : [])].join(" ");
+    const cursor = User.find(query).select(`${fields} -_id`).sort({ zone: 1, name: 1 }).lean().cursor();
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Disposition", `attachment; filename="members-${stamp}.${format}"`);
+
+    if (format === "csv") return await streamCsv(cursor, columns, res);
+    if (format === "xlsx") return await streamXlsx(cursor, columns, res);
+
+    const zoneLabel = query.zone ? ` — ${query.zone}` : "";
+    return await streamPdf(cursor, columns, res, { title: `BGI Ujjain Member Roster${zoneLabel}`, photos });
+  } catch (err) {
+    return serverErr(res, err, "exportMembers");
+  }
+};
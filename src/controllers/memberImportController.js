@@ -0,0 +1,221 @@
+// src/controllers/memberImportController.js
+/**
+ * memberImportController.js
+ * ------------------------------------------------------------
+ * Bulk member onboarding from a CSV/XLSX upload.
+ * Every row is validated against the User schema and the duplicate
+ * ITS/email rules; dry-run returns the per-row report only, commit
+ * creates the valid rows one by one (no rollback) and sends the
+ * welcome emails before answering, so each row reports whether its
+ * mail (the only copy of the generated password) actually went out.
+ */
+
+import User from "../models/user.js";
+import { readSpreadsheetRows } from "../utils/spreadsheet.js";
+import { generateRandomPassword } from "../utils/passwords.js";
+import { sendMail } from "../utils/mailer.js";
+import { welcomeEmailTemplate } from "../templates/welcomeEmail.js";
+
+// normalized header → User field
+const HEADER_ALIASES = {
+  firstname: "name",
+  lastname: "surname",
+  its: "itsNumber",
+  itsno: "itsNumber",
+  itsnumber: "itsNumber",
+  emailaddress: "email",
+  mobileno: "mobile",
+  mobilenumber: "mobile",
+  phone: "mobile",
+  whatsappno: "whatsapp",
+  whatsappnumber: "whatsapp",
+};
+
+const MAX_ROWS = 1000;
+const MAIL_CONCURRENCY = 5;
+
+const serverErr = (res, err, ctx = "") => {
+  console.error("⚠️ Member Import Error", ctx, err);
+  return res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: err?.message || String(err),
+  });
+};
+
+const toMemberData = (values) => ({
+  name: values.name || "",
+  surname: values.surname || "",
+  email: values.email || "",
+  mobile: values.mobile || "",
+  whatsapp: values.whatsapp || values.mobile || "",
+  itsNumber: values.itsNumber || "",
+  zone: values.zone || undefined,
+  role: values.role || "Member",
+  designation: values.designation || "Member",
+  status: "active",
+});
+
+// Schema validation without touching the DB (password is generated later)
+const schemaErrors = (data) => {
+  const err = new User({ ...data, password: "placeholder" }).validateSync();
+  if (!err) return [];
+  return Object.values(err.errors).map((e) => e.message);
+};
+
+/**
+ * Validate all rows. Returns one report entry per row plus the data for
+ * the valid ones.
+ */
+const validateRows = async (rows) => {
+  const itsSeen = new Map();
+  const emailSeen = new Map();
+  for (const { rowNumber, values } of rows) {
+    if (values.itsNumber && !itsSeen.has(values.itsNumber)) itsSeen.set(values.itsNumber, rowNumber);
+    if (values.email && !emailSeen.has(values.email)) emailSeen.set(values.email, rowNumber);
+  }
+
+  const existing = await User.find({
+    $or: [{ itsNumber: { $in: Array.from(itsSeen.keys()) } }, { email: { $in: Array.from(emailSeen.keys()) } }],
+  })
+    .select("itsNumber email")
+    .lean();
+  const existingIts = new Set(existing.map((u) => u.itsNumber));
+  const existingEmail = new Set(existing.map((u) => u.email));
+
+  return rows.map(({ rowNumber, values }) => {
+    const data = toMemberData(values);
+    const errors = schemaErrors(data);
+
+    // same rule as POST /api/auth/members
+    if (!data.zone) errors.push("Zone is required");
+
+    if (data.itsNumber) {
+      if (existingIts.has(data.itsNumber)) errors.push("ITS number already exists");
+      else if (itsSeen.get(data.itsNumber) !== rowNumber)
+        errors.push(`Duplicate ITS number (first seen on row ${itsSeen.get(data.itsNumber)})`);
+    }
+    if (data.email) {
+      if (existingEmail.has(data.email)) errors.push("Email already exists");
+      else if (emailSeen.get(data.email) !== rowNumber)
+        errors.push(`Duplicate email (first seen on row ${emailSeen.get(data.email)})`);
+    }
+
+    return {
+      row: rowNumber,
+      itsNumber: data.itsNumber,
+      name: `${data.name} ${data.surname}`.trim(),
+      email: data.email,
+      status: errors.length ? "invalid" : "valid",
+      errors,
+      data,
+    };
+  });
+};
+
+const summarize = (report) =>
+  report.reduce(
+    (acc, r) => {
+      acc.total++;
+      acc[r.status] = (acc[r.status] || 0) + 1;
+      return acc;
+    },
+    { total: 0 }
+  );
+
+// IMPORT (dry-run by default; ?commit=true to create accounts)
+export const importMembers = async (req, res) => {
+  try {
+    if (!req.file)
+      return res.status(400).json({ success: false, message: "Upload a CSV or XLSX file in the 'file' field." });
+
+    const commit = String(req.query.commit || req.body?.commit || "false") === "true";
+
+    let rows;
+    try {
+      rows = await readSpreadsheetRows(req.file.buffer, req.file.originalname, HEADER_ALIASES);
+    } catch (parseErr) {
+      return res.status(400).json({ success: false, message: `Could not read file: ${parseErr.message}` });
+    }
+
+    if (rows.length === 0)
+      return res.status(400).json({ success: false, message: "The file has no data rows." });
+    if (rows.length > MAX_ROWS)
+      return res.status(400).json({ success: false, message: `Too many rows (max ${MAX_ROWS} per import).` });
+
+    const report = await validateRows(rows);
+
+    if (!commit) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        summary: summarize(report),
+        rows: report.map(({ data, ...r }) => r),
+      });
+    }
+
+    const loginUrl = (process.env.FRONTEND_URL || "http://localhost:5173") + "/login";
+    const welcomeMails = [];
+
+    // Row by row on purpose: one bad row must not roll back the good ones
+    for (const entry of report) {
+      if (entry.status !== "valid") continue;
+
+      const plainPassword = generateRandomPassword(8);
+      try {
+        const member = await User.create({ ...entry.data, password: plainPassword });
+        entry.status = "created";
+        entry.memberId = member._id;
+
+        if (member.email) {
+          const { html, text } = welcomeEmailTemplate({
+            name: member.name,
+            itsNumber: member.itsNumber,
+            email: member.email,
+            password: plainPassword,
+            loginUrl,
+          });
+          welcomeMails.push({
+            entry,
+            options: { to: member.email, subject: "Welcome to Burhani Guards International", text, html },
+          });
+        }
+      } catch (createErr) {
+        entry.status = "failed";
+        entry.errors.push(
+          createErr?.code === 11000 ? "ITS number or email already exists" : createErr.message
+        );
+      }
+    }
+
+    // a few at a time; failed rows need a password reset from the admin
+    const emails = { sent: 0, failed: 0, notConfigured: 0 };
+    for (let i = 0; i < welcomeMails.length; i += MAIL_CONCURRENCY) {
+      await Promise.all(
+        welcomeMails.slice(i, i + MAIL_CONCURRENCY).map(async ({ entry, options }) => {
+          try {
+            const response = await sendMail(options);
+            entry.welcomeEmail = response ? "sent" : "not-configured";
+          } catch (mailErr) {
+            entry.welcomeEmail = "failed";
+            entry.welcomeEmailError = mailErr.message || String(mailErr);
+          }
+          if (entry.welcomeEmail === "sent") emails.sent++;
+          else if (entry.welcomeEmail === "failed") emails.failed++;
+          else emails.notConfigured++;
+        })
+      );
+    }
+
+    console.log(`📥 Member import by ${req.user.id}:`, summarize(report), emails);
+
+    return res.status(201).json({
+      success: true,
+      dryRun: false,
+      summary: { ...summarize(report), emails },
+      rows: report.map(({ data, ...r }) => r),
+    });
+  } catch (err) {
+    return serverErr(res, err, "importMembers");
+  }
+};
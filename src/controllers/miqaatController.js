@@ -8,10 +8,13 @@
 
 import mongoose from "mongoose";
 import Miqaat from "../models/Miqaat.js";
+import DutyChart from "../models/DutyChart.js";
 import User from "../models/user.js";
 import { notifyAllUsers } from "../utils/notifyAllUsers.js";
+import { hasPermission } from "../utils/permissions.js";
 
-const isAdminOrSuper = (r) => ["Admin", "SuperAdmin"].includes(r);
+const canWrite = (user) => hasPermission(user, "miqaat:write");
+const canManageAttendance = (user) => hasPermission(user, "attendance:manage");
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
 // Attach user objects for attendance member refs
@@ -47,6 +50,10 @@ const attachAttendanceUsers = async (docs) => {
   return plain;
 };
 
+// keep only valid, de-duplicated member ids
+const sanitizeMemberIds = (ids) =>
+  Array.isArray(ids) ? [...new Set(ids.map(String).filter(isValidObjectId))] : [];
+
 const serverErr = (res, err, ctx = "") => {
   console.error("⚠️ Miqaat Error", ctx, err);
   return res.status(500).json({
@@ -58,11 +65,11 @@ const serverErr = (res, err, ctx = "") => {
 
 // CREATE
 export const createMiqaat = async (req, res) => {
-  if (!isAdminOrSuper(req.user.role))
-    return res.status(403).json({ success: false, message: "Forbidden. Admins only." });
+  if (!canWrite(req.user))
+    return res.status(403).json({ success: false, message: "Forbidden. Missing permission." });
 
   try {
-    const { name, location, date } = req.body || {};
+    const { name, location, date, expectedMembers } = req.body || {};
     if (!name || !location || !date)
       return res.status(400).json({ success: false, message: "name, location, date are required." });
 
@@ -71,7 +78,8 @@ export const createMiqaat = async (req, res) => {
       location: String(location).trim(),
       date,
       createdBy: req.user._id || req.user.id,
-      attendance: [], // ready for future
+      attendance: [],
+      expectedMembers: sanitizeMemberIds(expectedMembers),
     });
 
     const fresh = await Miqaat.findById(doc._id).lean();
@@ -144,17 +152,18 @@ export const getMiqaatById = async (req, res) => {
 
 // UPDATE
 export const updateMiqaat = async (req, res) => {
-  if (!isAdminOrSuper(req.user.role))
+  if (!canWrite(req.user))
     return res.status(403).json({ success: false, message: "Forbidden" });
 
   try {
     const doc = await Miqaat.findById(req.params.id);
     if (!doc) return res.status(404).json({ success: false, message: "Not found" });
 
-    const { name, location, date } = req.body || {};
+    const { name, location, date, expectedMembers } = req.body || {};
     if (name !== undefined) doc.name = String(name).trim() || doc.name;
     if (location !== undefined) doc.location = String(location).trim() || doc.location;
     if (date !== undefined) doc.date = date || doc.date;
+    if (expectedMembers !== undefined) doc.expectedMembers = sanitizeMemberIds(expectedMembers);
 
     await doc.save();
 
@@ -168,7 +177,7 @@ export const updateMiqaat = async (req, res) => {
 
 // DELETE
 export const deleteMiqaat = async (req, res) => {
-  if (!isAdminOrSuper(req.user.role))
+  if (!canWrite(req.user))
     return res.status(403).json({ success: false, message: "Forbidden" });
 
   try {
@@ -176,55 +185,71 @@ export const deleteMiqaat = async (req, res) => {
     if (!doc) return res.status(404).json({ success: false, message: "Miqaat not found" });
 
     await Miqaat.findByIdAndDelete(req.params.id);
+    // duty charts stay; they just lose the link
+    await DutyChart.updateMany({ miqaat: doc._id }, { $set: { miqaat: null } });
     return res.json({ success: true, message: "Miqaat deleted successfully" });
   } catch (err) {
     return serverErr(res, err, "deleteMiqaat");
   }
 };
 
-/* ---------- Optional (future) attendance endpoints ----------
-   Keep code size minimal today. When you’re ready:
-   - POST /api/miqaat/:id/attendance -> add/mark attendance
-   - PUT  /api/miqaat/:id/attendance/:memberId -> update
-   These can reuse attachAttendanceUsers() and role checks.
+/* ---------- Attendance ----------
+   Members check in by scanning the session QR (attendanceController.js).
+   The endpoint below is the admin fallback for marking someone manually.
 ---------------------------------------------------------------- */
-// ADD ATTENDANCE (Member registering for Miqaat)
+// MARK ATTENDANCE MANUALLY (Admin)
 export const registerMiqaatAttendance = async (req, res) => {
+  if (!canManageAttendance(req.user))
+    return res.status(403).json({ success: false, message: "Forbidden. Members must check in by scanning the QR code." });
+
   try {
     const miqaatId = req.params.id;
-    const { memberId } = req.body;
+    const { memberId, status = "Present" } = req.body || {};
+
+    if (!isValidObjectId(miqaatId))
+      return res.status(404).json({ success: false, message: "Miqaat not found" });
 
-    if (!memberId)
-      return res.status(400).json({ success: false, message: "memberId is required." });
+    if (!memberId || !isValidObjectId(memberId))
+      return res.status(400).json({ success: false, message: "A valid memberId is required." });
+
+    if (!["Present", "Late"].includes(status))
+      return res.status(400).json({ success: false, message: "status must be Present or Late." });
 
     const miqaat = await Miqaat.findById(miqaatId);
     if (!miqaat)
       return res.status(404).json({ success: false, message: "Miqaat not found" });
 
+    if (miqaat.attendanceClosedAt)
+      return res.status(400).json({ success: false, message: "Attendance for this Miqaat has been closed" });
+
+    const member = await User.findById(memberId).select("_id");
+    if (!member)
+      return res.status(404).json({ success: false, message: "Member not found" });
+
     // Check if already registered
     const alreadyExists = miqaat.attendance.find(
-      (a) => a.member.toString() === memberId
+      (a) => a.member.toString() === String(memberId)
     );
 
     if (alreadyExists) {
-      return res.json({
-        success: true,
-        message: "Already registered for Khidmat.",
+      return res.status(409).json({
+        success: false,
+        message: "Attendance already marked for this member.",
       });
     }
 
     // Push new attendance entry
     miqaat.attendance.push({
       member: memberId,
-      status: "Present",
-      checkIn: new Date()
+      status,
+      checkIn: new Date(),
     });
 
     await miqaat.save();
 
     return res.json({
       success: true,
-      message: "Registered for Khidmat successfully.",
+      message: "Attendance marked successfully.",
     });
   } catch (err) {
     console.error("⚠️ registerMiqaatAttendance error:", err);
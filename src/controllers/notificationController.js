@@ -14,7 +14,9 @@ export const getNotifications = async (req, res) => {
     const formatted = notifications.map((n) => ({
       ...n,
       read: n.readBy?.map(String).includes(String(userId)),
-      miqaatId: n.miqaatId || null
+      miqaatId: n.miqaatId || null,
+      dutyChartId: n.dutyChartId || null,
+      paymentId: n.paymentId || null
     }));
 
     return res.json(formatted);
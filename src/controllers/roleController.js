@@ -0,0 +1,72 @@
+// src/controllers/roleController.js
+/**
+ * roleController.js
+ * ------------------------------------------------------------
+ * View / edit the stored role → permission mapping.
+ */
+
+import RoleDefinition from "../models/RoleDefinition.js";
+import { ALL_PERMISSIONS, PERMISSIONS } from "../config/permissions.js";
+import { getRolePermissions, invalidateRoleDefinitions } from "../utils/permissions.js";
+
+const serverErr = (res, err, ctx = "") => {
+  console.error("⚠️ Role Error", ctx, err);
+  return res.status(500).json({
+    success: false,
+    message: "Server error",
+    error: err?.message || String(err),
+  });
+};
+
+// CATALOGUE
+export const getPermissionCatalogue = async (req, res) => {
+  const permissions = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+  return res.json({ success: true, permissions });
+};
+
+// READ ALL
+export const getRoleDefinitions = async (req, res) => {
+  try {
+    await getRolePermissions(req.user.role); // makes sure defaults are seeded
+    const roles = await RoleDefinition.find().sort({ name: 1 }).lean();
+    return res.json({ success: true, roles });
+  } catch (err) {
+    return serverErr(res, err, "getRoleDefinitions");
+  }
+};
+
+// UPDATE
+export const updateRoleDefinition = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { permissions, description } = req.body || {};
+
+    if (!Array.isArray(permissions))
+      return res.status(400).json({ success: false, message: "permissions must be an array." });
+
+    const unique = [...new Set(permissions.map(String))];
+    const unknown = unique.filter((p) => p !== ALL_PERMISSIONS && !PERMISSIONS[p]);
+    if (unknown.length > 0)
+      return res.status(400).json({ success: false, message: "Unknown permissions", unknown });
+
+    // Don't let anyone lock themselves out of role management
+    const keepsRoleManagement = unique.includes(ALL_PERMISSIONS) || unique.includes("roles:manage");
+    if (name === req.user.role && !keepsRoleManagement)
+      return res.status(400).json({ success: false, message: "You cannot remove roles:manage from your own role." });
+
+    await getRolePermissions(name); // seed defaults before the first edit
+    const role = await RoleDefinition.findOne({ name });
+    if (!role) return res.status(404).json({ success: false, message: "Role not found" });
+
+    role.permissions = unique;
+    if (description !== undefined) role.description = String(description).trim();
+    role.updatedBy = req.user._id || req.user.id;
+    await role.save();
+
+    invalidateRoleDefinitions();
+
+    return res.json({ success: true, message: "Role updated", role });
+  } catch (err) {
+    return serverErr(res, err, "updateRoleDefinition");
+  }
+};
@@ -1,8 +1,14 @@
 // middleware/auth.js
 import jwt from "jsonwebtoken";
+import User from "../models/user.js";
+import { getUserPermissions, getPermissionScope, hasPermission } from "../utils/permissions.js";
 
-// ✅ Verify JWT & attach user to req
-export const auth = (req, res, next) => {
+// Scope carried by the restricted token issued while mustChangePassword is set
+export const PASSWORD_CHANGE_SCOPE = "password-change";
+
+// ✅ Verify JWT, check it hasn't been revoked & attach user to req
+// allowPasswordChange: accept the restricted token (only the change-password route does)
+const verifyToken = (allowPasswordChange) => async (req, res, next) => {
   const authHeader = req.header("Authorization") || "";
   const token = authHeader.startsWith("Bearer ") ? authHeader.split(" ")[1] : null;
 
@@ -15,46 +21,91 @@ export const auth = (req, res, next) => {
     return res.status(401).json({ msg: "No token, authorization denied" });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-req.user = decoded; // { id, role }
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    console.error("❌ Token verification failed:", err.message);
+    return res.status(401).json({ msg: "Token is not valid" });
+  }
 
-// ✅ NORMALIZE ID (MOST IMPORTANT FIX)
-req.user._id = decoded.id;
-req.user.id = decoded.id;
+  try {
+    // 🔒 Deleted/deactivated users and bumped tokenVersion revoke the token
+    const user = await User.findById(decoded.id).select("role designation zone status tokenVersion mustChangePassword").lean();
+    if (!user || user.status !== "active" || (user.tokenVersion || 0) !== (decoded.tv || 0)) {
+      console.log("❌ Token revoked");
+      return res.status(401).json({ msg: "Token has been revoked" });
+    }
 
-console.log("✅ Token verified:");
-console.log("  - User ID:", decoded.id);
-console.log("  - User Role:", decoded.role);
+    // 🔒 Until the initial password is changed, only change-password is reachable
+    const restricted = decoded.scope === PASSWORD_CHANGE_SCOPE || user.mustChangePassword;
+    if (restricted && !allowPasswordChange) {
+      console.log("❌ Password change required");
+      return res.status(403).json({
+        msg: "You must change your password before continuing",
+        mustChangePassword: true,
+      });
+    }
 
-    
-    next();
+    req.user = decoded; // { id, role, tv }
+
+    // ✅ NORMALIZE ID (MOST IMPORTANT FIX)
+    req.user._id = decoded.id;
+    req.user.id = decoded.id;
+    req.user.role = user.role;
+    req.user.designation = user.designation;
+    req.user.zone = user.zone || null;
+    req.user.permissions = await getUserPermissions(user);
+
+    console.log("✅ Token verified:");
+    console.log("  - User ID:", decoded.id);
+    console.log("  - User Role:", user.role);
   } catch (err) {
-    console.error("❌ Token verification failed:", err.message);
-    return res.status(401).json({ msg: "Token is not valid" });
+    console.error("❌ Token revocation check failed:", err.message);
+    return res.status(500).json({ msg: "Server error" });
   }
+
+  next();
 };
 
-// ✅ Middleware to allow one or more roles
-export const allowRoles = (...roles) => (req, res, next) => {
-  console.log("🔒 Role Check:");
+export const auth = verifyToken(false);
+export const authPasswordChange = verifyToken(true);
+
+// ✅ Middleware to require one or more named permissions (all must be granted)
+export const requirePermission = (...permissions) => (req, res, next) => {
+  console.log("🔒 Permission Check:");
   console.log("  - User Role:", req.user?.role);
-  console.log("  - Allowed Roles:", roles);
-  
+  console.log("  - Required:", permissions);
+
   if (!req.user || !req.user.role) {
     console.log("❌ User role not found in token");
     return res.status(403).json({ msg: "User role not found in token" });
   }
-  
-  if (!roles.includes(req.user.role)) {
-    console.log("❌ Access denied - role mismatch");
-    return res.status(403).json({ 
-      msg: `Access denied. Your role: ${req.user.role}. Required: ${roles.join(", ")}` 
+
+  const missing = permissions.filter((p) => !hasPermission(req.user, p));
+  if (missing.length > 0) {
+    console.log("❌ Access denied - missing permissions:", missing);
+    return res.status(403).json({
+      msg: `Access denied. Missing permission: ${missing.join(", ")}`,
     });
   }
-  
-  console.log("✅ Role authorized");
+
+  console.log("✅ Permission granted");
+  next();
+};
+
+// ✅ Middleware for permissions that can be granted outright or for the user's zone only.
+// Sets req.scope = { all, zone } so handlers can filter their queries.
+export const requireScope = (permission) => (req, res, next) => {
+  const scope = getPermissionScope(req.user, permission);
+  if (!scope) {
+    console.log("❌ Access denied - missing permission:", permission);
+    return res.status(403).json({ msg: `Access denied. Missing permission: ${permission}` });
+  }
+
+  console.log("✅ Scope granted:", permission, scope.all ? "(all zones)" : `(zone ${scope.zone})`);
+  req.scope = scope;
   next();
 };
 
-export default auth;
\ No newline at end of file
+export default auth;
@@ -1,38 +1,50 @@
-// import mongoose from "mongoose";
+// src/models/Attendance.js
+import mongoose from "mongoose";
 
-// const attendanceSchema = new mongoose.Schema(
-//   {
-//     session: {
-//       type: mongoose.Schema.Types.ObjectId,
-//       ref: "AttendanceSession",
-//       required: true,
-//     },
-//     member: {
-//       type: mongoose.Schema.Types.ObjectId,
-//       ref: "User",
-//       required: true,
-//     },
-//     markedAt: {
-//       type: Date,
-//       default: Date.now,
-//     },
-//     status: {
-//       type: String,
-//       enum: ["Present", "Late", "Absent"],
-//       default: "Present",
-//     },
-//     qrCode: {
-//       type: String, // Store QR session code used for marking
-//     },
-//     markedBy: {
-//       type: mongoose.Schema.Types.ObjectId,
-//       ref: "User", // Track who scanned/marked the attendance
-//     },
-//   },
-//   { timestamps: true }
-// );
+/**
+ * Attendance Model
+ * --------------------
+ * One row per QR scan accepted in an AttendanceSession.
+ * The Miqaat's embedded attendance sheet is updated alongside it;
+ * this collection keeps the audit trail of which session/token was used.
+ */
 
-// // Ensure one member can't mark attendance twice in the same session
-// attendanceSchema.index({ session: 1, member: 1 }, { unique: true });
+const attendanceSchema = new mongoose.Schema(
+  {
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AttendanceSession",
+      required: true,
+    },
+    miqaat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Miqaat",
+      required: true,
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    markedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ["Present", "Late", "Absent"],
+      default: "Present",
+    },
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Track who scanned/marked the attendance
+    },
+  },
+  { timestamps: true }
+);
 
-// export default mongoose.model("Attendance", attendanceSchema);
\ No newline at end of file
+// Ensure one member can't mark attendance twice for the same Miqaat
+attendanceSchema.index({ miqaat: 1, member: 1 }, { unique: true });
+attendanceSchema.index({ session: 1 });
+
+export default mongoose.models.Attendance || mongoose.model("Attendance", attendanceSchema);
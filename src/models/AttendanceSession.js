@@ -1,27 +1,66 @@
-// import mongoose from "mongoose";
+// src/models/AttendanceSession.js
+import mongoose from "mongoose";
 
-// const attendanceSessionSchema = new mongoose.Schema(
-//   {
-//     title: { type: String, required: true }, // e.g., "Sunday Event"
-//     createdBy: {
-//       type: mongoose.Schema.Types.ObjectId,
-//       ref: "User", // Admin who created this session
-//       required: true,
-//     },
-//     qrCode: {
-//       type: String, // Will store QR code string (URL/data)
-//       required: true,
-//     },
-//     expiresAt: {
-//       type: Date,
-//       required: true, // Expiry time for QR
-//     },
-//     isActive: {
-//       type: Boolean,
-//       default: true,
-//     },
-//   },
-//   { timestamps: true }
-// );
+/**
+ * AttendanceSession Model
+ * --------------------
+ * A time-boxed QR check-in window opened by an admin for a Miqaat.
+ * - secret: per-session signing key (never sent to clients); the rotating
+ *   QR tokens are signed with it, so closing a session kills every token
+ * - reportingTime + graceMinutes: scans after this point are marked "Late"
+ */
 
-// export default mongoose.model("AttendanceSession", attendanceSessionSchema);
+const attendanceSessionSchema = new mongoose.Schema(
+  {
+    miqaat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Miqaat",
+      required: true,
+    },
+    title: { type: String }, // e.g., "Morning check-in"
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User", // Admin who opened this session
+      required: true,
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // Members can't check in after this
+    },
+    reportingTime: {
+      type: Date,
+      required: true,
+    },
+    graceMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // How long a single QR token stays valid before the screen must refresh it
+    rotationSeconds: {
+      type: Number,
+      default: 30,
+      min: 10,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    closedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+attendanceSessionSchema.index({ miqaat: 1, isActive: 1 });
+
+export default mongoose.models.AttendanceSession ||
+  mongoose.model("AttendanceSession", attendanceSessionSchema);
@@ -0,0 +1,13 @@
+// src/models/Counter.js
+import mongoose from "mongoose";
+
+// Named sequences, incremented atomically (e.g. "receipt:2025-26")
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.Counter || mongoose.model("Counter", counterSchema);
@@ -1,6 +1,28 @@
 // src/models/DutyChart.js
 import mongoose from "mongoose";
 
+// A person on the chart: a registered member OR a typed name (see utils/personRef.js)
+export const personRefSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    externalName: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const hasPerson = (ref) => !ref || Boolean(ref.user || ref.externalName);
+
+// A member's answer to their assignment (absent = not answered yet)
+const acknowledgementSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    status: { type: String, enum: ["Acknowledged", "Declined"], required: true },
+    reason: { type: String, default: "" }, // required when declining
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const dutyChartSchema = new mongoose.Schema(
   {
     title: {
@@ -12,19 +34,16 @@ const dutyChartSchema = new mongoose.Schema(
       required: true,
     },
 
-    // allow ObjectId OR string
+    // member OR typed name
     jamiatIncharge: {
-      type: mongoose.Schema.Types.Mixed,
+      type: personRefSchema,
       required: true,
+      validate: { validator: hasPerson, message: "Jamiat Incharge needs a member or a name" },
     },
 
     eventIncharge: {
-      captain: {
-        type: mongoose.Schema.Types.Mixed,
-      },
-      viceCaptain: {
-        type: mongoose.Schema.Types.Mixed,
-      },
+      captain: { type: personRefSchema, default: null },
+      viceCaptain: { type: personRefSchema, default: null },
     },
 
     createdBy: {
@@ -46,27 +65,37 @@ const dutyChartSchema = new mongoose.Schema(
       required: true,
     },
 
+    // optional: the Miqaat this chart staffs (source of duty attendance)
+    miqaat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Miqaat",
+      default: null,
+    },
+
     assignments: [
       {
         location: { type: String, required: true },
         area: { type: String, required: true },
-        inchargeOfficer: {
-          type: mongoose.Schema.Types.Mixed,
-        },
-        subInchargeOfficer: {
-          type: mongoose.Schema.Types.Mixed,
-        },
+        inchargeOfficer: { type: personRefSchema, default: null },
+        subInchargeOfficer: { type: personRefSchema, default: null },
         task: { type: String, required: true },
         team: { type: String }, // e.g. "Team Alpha"
-        members: [
-          {
-            type: mongoose.Schema.Types.Mixed,
-          },
-        ],
+        members: [personRefSchema],
+        acknowledgements: [acknowledgementSchema],
       },
     ],
   },
   { timestamps: true }
 );
 
+// "which charts is this member on?" lookups
+dutyChartSchema.index({ "jamiatIncharge.user": 1 });
+dutyChartSchema.index({ "eventIncharge.captain.user": 1 });
+dutyChartSchema.index({ "eventIncharge.viceCaptain.user": 1 });
+dutyChartSchema.index({ "assignments.inchargeOfficer.user": 1 });
+dutyChartSchema.index({ "assignments.subInchargeOfficer.user": 1 });
+dutyChartSchema.index({ "assignments.members.user": 1 });
+dutyChartSchema.index({ dutyDate: -1 });
+dutyChartSchema.index({ miqaat: 1 });
+
 export default mongoose.model("DutyChart", dutyChartSchema);
@@ -0,0 +1,32 @@
+// src/models/DutyChartRevision.js
+import mongoose from "mongoose";
+
+/**
+ * Immutable snapshot of a duty chart after a change (or right before it is
+ * deleted). Revisions are numbered per chart from 1 and are never edited;
+ * they outlive the chart, so a deleted chart can be restored.
+ */
+export const REVISION_ACTIONS = ["baseline", "create", "update", "assignment", "swap", "restore", "delete"];
+
+const dutyChartRevisionSchema = new mongoose.Schema(
+  {
+    chart: { type: mongoose.Schema.Types.ObjectId, required: true, immutable: true }, // DutyChart _id (may be deleted)
+    revision: { type: Number, required: true, immutable: true },
+    action: { type: String, enum: REVISION_ACTIONS, required: true, immutable: true },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true }, // full chart as stored
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", immutable: true },
+    note: { type: String, default: "", immutable: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, minimize: false }
+);
+
+dutyChartRevisionSchema.index({ chart: 1, revision: -1 }, { unique: true });
+dutyChartRevisionSchema.index({ action: 1, createdAt: -1 });
+
+// revisions are history: refuse in-place edits
+const refuseUpdate = function () {
+  throw new Error("Duty chart revisions are immutable");
+};
+dutyChartRevisionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], refuseUpdate);
+
+export default mongoose.model("DutyChartRevision", dutyChartRevisionSchema);
@@ -0,0 +1,45 @@
+// src/models/DutyChartTemplate.js
+import mongoose from "mongoose";
+import { personRefSchema } from "./DutyChart.js";
+
+// Reusable layout for recurring events (Ashara, weekly majlis...).
+// Officer fields follow DutyChart: { user } OR { externalName }.
+const dutyChartTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    description: { type: String, default: "" },
+
+    // defaults copied onto charts created from this template
+    title: { type: String, default: "Burhani Guards Ujjain Duty Chart" },
+    eventName: { type: String },
+    reportingTime: { type: String },
+    dressCode: { type: String },
+    jamiatIncharge: { type: personRefSchema, default: null },
+    eventIncharge: {
+      captain: { type: personRefSchema, default: null },
+      viceCaptain: { type: personRefSchema, default: null },
+    },
+
+    assignments: [
+      {
+        location: { type: String, required: true },
+        area: { type: String, required: true },
+        task: { type: String, required: true },
+        team: { type: String },
+        inchargeOfficer: { type: personRefSchema, default: null },
+        subInchargeOfficer: { type: personRefSchema, default: null },
+      },
+    ],
+
+    sourceChart: { type: mongoose.Schema.Types.ObjectId, ref: "DutyChart" }, // chart it was saved from
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("DutyChartTemplate", dutyChartTemplateSchema);
@@ -0,0 +1,45 @@
+// src/models/DutySwapRequest.js
+import mongoose from "mongoose";
+
+/**
+ * A member asks a colleague to take over their spot on an assignment.
+ * Flow: Pending Colleague → Pending Approval → Approved | Rejected
+ * (or Declined by Colleague / Cancelled). Decided requests are kept as
+ * the swap history of the chart.
+ */
+export const SWAP_STATUSES = [
+  "Pending Colleague",
+  "Pending Approval",
+  "Approved",
+  "Rejected",
+  "Declined by Colleague",
+  "Cancelled",
+];
+
+const dutySwapRequestSchema = new mongoose.Schema(
+  {
+    dutyChart: { type: mongoose.Schema.Types.ObjectId, ref: "DutyChart", required: true },
+    assignment: { type: mongoose.Schema.Types.ObjectId, required: true }, // DutyChart.assignments._id
+    field: {
+      type: String,
+      enum: ["members", "inchargeOfficer", "subInchargeOfficer"],
+      required: true,
+    },
+    requester: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    colleague: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, default: "" },
+
+    status: { type: String, enum: SWAP_STATUSES, default: "Pending Colleague" },
+    colleagueRespondedAt: { type: Date },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    decidedAt: { type: Date },
+    decisionNote: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+dutySwapRequestSchema.index({ dutyChart: 1, createdAt: -1 });
+dutySwapRequestSchema.index({ requester: 1, status: 1 });
+dutySwapRequestSchema.index({ colleague: 1, status: 1 });
+
+export default mongoose.model("DutySwapRequest", dutySwapRequestSchema);
@@ -0,0 +1,86 @@
+// src/models/FeeSchedule.js
+import mongoose from "mongoose";
+import { PAYMENT_TYPES } from "./Payment.js";
+
+/**
+ * What a fee costs and when it falls due, for a date range.
+ * A new rate for a new year is a new schedule (new effectiveFrom); dues
+ * copy their amount when issued, so editing a schedule never changes them.
+ * Schedules of the same fee type must not overlap.
+ */
+
+// Rate for members matching role and/or designation (most specific wins)
+const rateSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ["SuperAdmin", "Admin", "Captain", "Finance", "Member"] },
+    designation: { type: String, enum: ["Captain", "Vice Captain", "Admin", "Member"] },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// When a due issued from this schedule falls due:
+//   "issue"        → dueDays after the day it is issued
+//   "anniversary"  → dueDays after the member's registration anniversary this year
+//   "fixed"        → dueMonth/dueDay of the year it is issued in (next year if already past)
+const dueRuleSchema = new mongoose.Schema(
+  {
+    anchor: { type: String, enum: ["issue", "anniversary", "fixed"], default: "issue" },
+    dueDays: { type: Number, default: 30, min: 0 },
+    dueMonth: { type: Number, min: 1, max: 12 },
+    dueDay: { type: Number, min: 1, max: 31 },
+  },
+  { _id: false }
+);
+
+const feeScheduleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // e.g. "Annual Subscription 2025-26"
+    feeType: { type: String, enum: PAYMENT_TYPES, required: true },
+    description: { type: String, default: "" },
+
+    defaultAmount: { type: Number, required: true, min: 0 },
+    rates: [rateSchema],
+
+    effectiveFrom: { type: Date, required: true },
+    effectiveTo: {
+      type: Date,
+      default: null, // null = open-ended
+      validate: {
+        validator: function (v) {
+          return !v || !this.effectiveFrom || v >= this.effectiveFrom;
+        },
+        message: "effectiveTo must be on or after effectiveFrom",
+      },
+    },
+
+    dueRule: {
+      type: dueRuleSchema,
+      default: () => ({}),
+      validate: [
+        {
+          validator: (rule) => rule?.anchor !== "fixed" || Boolean(rule.dueMonth && rule.dueDay),
+          message: "A fixed due rule needs dueMonth and dueDay",
+        },
+        {
+          // must exist every year, so no 29 February either
+          validator: (rule) =>
+            rule?.anchor !== "fixed" ||
+            !rule.dueMonth ||
+            !rule.dueDay ||
+            rule.dueDay <= new Date(Date.UTC(2001, rule.dueMonth, 0)).getUTCDate(),
+          message: "dueDay does not exist in dueMonth",
+        },
+      ],
+    },
+    active: { type: Boolean, default: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+feeScheduleSchema.index({ feeType: 1, effectiveFrom: -1 });
+
+export default mongoose.models.FeeSchedule || mongoose.model("FeeSchedule", feeScheduleSchema);
@@ -0,0 +1,18 @@
+// src/models/LeaveOfAbsence.js
+import mongoose from "mongoose";
+
+// A member is unavailable for duty between `from` and `to` (inclusive days)
+const leaveOfAbsenceSchema = new mongoose.Schema(
+  {
+    member: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    reason: { type: String, default: "" },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+leaveOfAbsenceSchema.index({ member: 1, from: 1, to: 1 });
+
+export default mongoose.model("LeaveOfAbsence", leaveOfAbsenceSchema);
@@ -0,0 +1,34 @@
+// src/models/LoginHistory.js
+import mongoose from "mongoose";
+
+/**
+ * LoginHistory Model
+ * --------------------
+ * One row per login attempt.
+ * - user is null when the ITS number didn't match any account
+ * - outcome records why the attempt succeeded or failed
+ */
+
+const loginHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    itsNumber: { type: String },
+    ip: { type: String },
+    userAgent: { type: String },
+    outcome: {
+      type: String,
+      enum: ["success", "password-change-required", "invalid-credentials", "inactive", "locked"],
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ itsNumber: 1, createdAt: -1 });
+
+export default mongoose.models.LoginHistory || mongoose.model("LoginHistory", loginHistorySchema);
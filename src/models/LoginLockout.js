@@ -0,0 +1,43 @@
+// src/models/LoginLockout.js
+import mongoose from "mongoose";
+
+/**
+ * LoginLockout Model
+ * --------------------
+ * Failed-login counter per ITS number and per client IP.
+ * kind "reset-ip" reuses the counter for forgot-password requests per client IP.
+ * - failedCount: failures in the current window (reset on success / window expiry)
+ * - lockCount: how many times this key has been locked; drives the progressive
+ *   lock duration
+ * - lockedUntil: logins for this key are refused until this time
+ */
+
+const loginLockoutSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["its", "ip", "reset-ip"],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: { type: Date },
+    lockedUntil: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+loginLockoutSchema.index({ kind: 1, key: 1 }, { unique: true });
+loginLockoutSchema.index({ lockedUntil: 1 });
+
+export default mongoose.models.LoginLockout || mongoose.model("LoginLockout", loginLockoutSchema);
@@ -7,6 +7,7 @@ const attendanceSchema = new mongoose.Schema(
     status: { type: String, enum: ["Present", "Absent", "Late"], default: "Present" },
     checkIn: { type: Date },
     checkOut: { type: Date },
+    hoursServed: { type: Number }, // set on check-out
     note: { type: String },
   },
   { _id: false, timestamps: true }
@@ -18,7 +19,10 @@ const miqaatSchema = new mongoose.Schema(
     location: { type: String, required: true },
     date: { type: Date, required: true },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
-    attendance: [attendanceSchema], // future: quick per-miqat attendance
+    attendance: [attendanceSchema],
+    // Members expected to attend; empty = every active member
+    expectedMembers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    attendanceClosedAt: { type: Date }, // set by close-out
   },
   { timestamps: true }
 );
@@ -20,7 +20,7 @@ const notificationSchema = new mongoose.Schema(
 
     type: {
       type: String,
-      enum: ["duty", "miqaat", "general"],
+      enum: ["duty", "miqaat", "payment", "general"],
       required: true,
     },
 
@@ -32,10 +32,27 @@ const notificationSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Stores the ObjectId of the DutyChart (ONLY when type === "duty")
+    dutyChartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DutyChart",
+      default: null,
+    },
+
+    // Stores the ObjectId of the Payment (ONLY when type === "payment")
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      default: null,
+    },
+
+    // optional for payment reminders, which the scheduler sends on its own
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      required: function () {
+        return this.type !== "payment";
+      },
     },
 
     // Array of user IDs who should see the notification
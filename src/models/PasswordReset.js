@@ -0,0 +1,42 @@
+// src/models/PasswordReset.js
+import mongoose from "mongoose";
+
+/**
+ * PasswordReset Model
+ * --------------------
+ * One-time codes mailed by the forgot-password flow.
+ * - codeHash: sha256 of the code (the code itself is only in the email)
+ * - attempts: wrong guesses so far; the code is burnt after too many
+ * - usedAt: set once the code has reset the password
+ */
+
+const passwordResetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    usedAt: { type: Date, default: null },
+    ip: { type: String },
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ user: 1, createdAt: -1 });
+// Keep codes around for a day after expiry (rate-limit window), then purge
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.models.PasswordReset || mongoose.model("PasswordReset", passwordResetSchema);
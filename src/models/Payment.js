@@ -1,4 +1,60 @@
 import mongoose from "mongoose";
+import { deriveLedgerStatus, paidAmountOf, chronologicalTransactions } from "../utils/paymentLedger.js";
+import { issueReceiptNumber } from "../utils/receiptNumbers.js";
+
+export const PAYMENT_METHODS = ["Cash", "UPI", "Bank Transfer", "Cheque", "Online"];
+export const PAYMENT_TYPES = ["Joining Fee", "Annual Subscription", "Event Fee", "Fine", "Other"];
+
+// One dues reminder sent by the scheduler (utils/duesReminders.js)
+const reminderSchema = new mongoose.Schema(
+  {
+    offsetDays: { type: Number, required: true }, // relative to dueDate: -7, 0, 15...
+    sentAt: { type: Date, default: Date.now },
+    outstanding: { type: Number }, // balance at the time
+    email: {
+      type: String,
+      // "sending" = claimed by a job run; stays so if that run died before sending
+      enum: ["sending", "sent", "opted-out", "no-email", "not-configured", "failed"],
+      required: true,
+    },
+    emailError: { type: String },
+    notified: { type: Boolean, default: false }, // in-app notification created
+  },
+  { _id: false }
+);
+
+// A member's uploaded UPI / bank-transfer proof, waiting for finance review.
+// Files live outside the public /uploads folder (see routes/finance.js).
+const proofSchema = new mongoose.Schema(
+  {
+    file: { type: String, required: true }, // file name in PAYMENT_PROOFS_DIR (older entries: relative path), never a public URL
+    originalName: { type: String },
+    mimeType: { type: String },
+    amount: { type: Number, required: true, min: 0.01 }, // amount the member says they paid
+    paymentMethod: { type: String, enum: PAYMENT_METHODS, default: "UPI" },
+    transactionId: { type: String },
+    note: { type: String },
+    status: { type: String, enum: ["Pending", "Approved", "Rejected"], default: "Pending" },
+    submittedAt: { type: Date, default: Date.now },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    rejectionReason: { type: String },
+  }
+);
+
+// One receipt against a due; a due can be settled by several of these
+const transactionSchema = new mongoose.Schema(
+  {
+    amount: { type: Number, required: true, min: 0.01 },
+    paidDate: { type: Date, default: Date.now },
+    paymentMethod: { type: String, enum: PAYMENT_METHODS, default: "Cash" },
+    transactionId: { type: String },
+    receiptNumber: { type: String },
+    remarks: { type: String },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -12,37 +68,45 @@ const paymentSchema = new mongoose.Schema(
     zone: { type: String, required: true },
     
     // Payment details
-    amount: { type: Number, required: true },
+    amount: { type: Number, required: true }, // amount due
     paymentType: {
       type: String,
-      enum: ["Joining Fee", "Annual Subscription", "Event Fee", "Fine", "Other"],
+      enum: PAYMENT_TYPES,
       default: "Annual Subscription",
     },
+    // fee schedule the due was issued under; the amount itself is copied, so
+    // later rate changes never touch dues already issued
+    feeSchedule: { type: mongoose.Schema.Types.ObjectId, ref: "FeeSchedule" },
     paymentMethod: {
       type: String,
-      enum: ["Cash", "UPI", "Bank Transfer", "Cheque", "Online"],
+      enum: PAYMENT_METHODS,
       default: "Cash",
-    },
-    
-    // Status tracking
+    }, // method of the latest receipt
+
+    // Ledger: every receipt against this due
+    transactions: [transactionSchema],
+    paidAmount: { type: Number, default: 0 }, // sum of transactions (kept in sync on save)
+
+    // Status tracking — derived from the ledger on save
     status: {
       type: String,
-      enum: ["Paid", "Pending", "Overdue", "Partial"],
+      enum: ["Paid", "Pending", "Overdue", "Partial", "Under Verification"],
       default: "Pending",
     },
     
     // Financial year for subscriptions
     subscriptionYear: { type: String }, // e.g., "2024-2025" (for annual subscriptions)
     dueDate: { type: Date, required: true },
-    paidDate: { type: Date },
+    paidDate: { type: Date }, // date the due was fully settled
     
     // Additional info
     transactionId: { type: String },
     remarks: { type: String },
-    receiptNumber: { type: String },
+    receiptNumber: { type: String }, // receipt of the latest transaction
     
     // Payment proof
-    paymentProof: { type: String }, // URL to uploaded proof
+    paymentProof: { type: String }, // file name of the latest uploaded proof
+    proofs: [proofSchema], // every upload with its review outcome
     
     // Who recorded this payment
     recordedBy: {
@@ -50,10 +114,14 @@ const paymentSchema = new mongoose.Schema(
       ref: "User",
     },
     
+    // Dues reminders already sent (one per offset)
+    reminders: [reminderSchema],
+
     // Auto-generated flag for annual subscriptions
     autoGenerated: { type: Boolean, default: false },
   },
-  { timestamps: true }
+  // every save checks __v, so concurrent ledger changes to one due can't both land
+  { timestamps: true, optimisticConcurrency: true }
 );
 
 // Index for faster queries
@@ -63,12 +131,54 @@ paymentSchema.index({ itsNumber: 1 });
 paymentSchema.index({ paymentType: 1 });
 paymentSchema.index({ dueDate: 1 });
 
-// Automatically set receipt number on creation if paid
-paymentSchema.pre("save", function (next) {
-  if (this.isNew && this.status === "Paid" && !this.receiptNumber) {
-    this.receiptNumber = `RCP${Date.now()}${Math.floor(Math.random() * 1000)}`;
+const latestTransaction = (payment) => chronologicalTransactions(payment).pop();
+
+paymentSchema.virtual("outstandingAmount").get(function () {
+  return Math.max(0, (this.amount || 0) - (this.paidAmount || 0));
+});
+paymentSchema.set("toJSON", { virtuals: true });
+paymentSchema.set("toObject", { virtuals: true });
+
+// Record a receipt against this due (call save() afterwards; the receipt
+// number is issued on save)
+paymentSchema.methods.addTransaction = function (entry) {
+  this.transactions.push(entry);
+  return this.transactions[this.transactions.length - 1];
+};
+
+// Keep paidAmount / status / paidDate in step with the ledger.
+// A due still "Paid" with an untouched empty ledger (older records) gets one
+// transaction for the whole amount first.
+paymentSchema.pre("validate", function (next) {
+  const legacyPaid = this.status === "Paid" && this.transactions.length === 0 && !this.isModified("transactions");
+  if (legacyPaid && this.amount > 0) {
+    this.addTransaction({
+      amount: this.amount,
+      paidDate: this.paidDate || new Date(),
+      paymentMethod: this.paymentMethod,
+      transactionId: this.transactionId,
+      receiptNumber: this.receiptNumber, // keep the number already printed
+      recordedBy: this.recordedBy,
+    });
   }
+
+  this.paidAmount = paidAmountOf(this);
+  this.status = deriveLedgerStatus(this);
+
+  const latest = latestTransaction(this);
+  if (latest) this.paymentMethod = latest.paymentMethod;
+  this.paidDate = this.status === "Paid" ? latest?.paidDate : undefined;
   next();
 });
 
+// Sequential per-financial-year receipt numbers for new ledger entries
+paymentSchema.pre("save", async function () {
+  for (const transaction of this.transactions) {
+    if (!transaction.receiptNumber)
+      transaction.receiptNumber = await issueReceiptNumber(transaction.paidDate, { session: this.$session() });
+  }
+  const latest = latestTransaction(this);
+  if (latest) this.receiptNumber = latest.receiptNumber;
+});
+
 export default mongoose.models.Payment || mongoose.model("Payment", paymentSchema);
\ No newline at end of file
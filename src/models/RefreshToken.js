@@ -0,0 +1,51 @@
+// src/models/RefreshToken.js
+import mongoose from "mongoose";
+
+/**
+ * RefreshToken Model
+ * --------------------
+ * Server-side record of every refresh token issued at login/refresh.
+ * - tokenHash: sha256 of the opaque token (the raw value is only ever sent to the client)
+ * - family: shared by every token in one login's rotation chain, so reuse of
+ *   an already-rotated token can revoke the whole chain
+ * - tokenVersion: User.tokenVersion at issue time; a bump invalidates the token
+ */
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+    replacedBy: { type: String }, // tokenHash of the token that rotated this one
+    userAgent: { type: String },
+    ip: { type: String },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.RefreshToken || mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,32 @@
+// src/models/RoleDefinition.js
+import mongoose from "mongoose";
+
+/**
+ * RoleDefinition Model
+ * --------------------
+ * Maps a User.role to the named permissions it grants
+ * (see src/config/permissions.js for the catalogue and defaults).
+ * "*" grants every permission.
+ */
+
+const roleDefinitionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      enum: ["SuperAdmin", "Admin", "Captain", "Finance", "Member"],
+      required: true,
+      unique: true,
+    },
+    description: { type: String },
+    permissions: [{ type: String }],
+    // Default permissions already offered to this role (see utils/permissions.js)
+    seededPermissions: [{ type: String }],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.RoleDefinition || mongoose.model("RoleDefinition", roleDefinitionSchema);
@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import RefreshToken from "./RefreshToken.js";
+
+// Changing any of these invalidates every token already issued to the user
+const SESSION_SENSITIVE_FIELDS = ["status", "role", "password"];
 
 const userSchema = new mongoose.Schema(
   {
@@ -53,11 +57,69 @@ const userSchema = new mongoose.Schema(
       },
     },
 
+    // 📧 Dues reminder emails (in-app reminders are always sent)
+    duesReminderEmails: {
+      type: Boolean,
+      default: true,
+    },
+
+    // 🔒 Bumped to revoke all access/refresh tokens issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
     createdAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
+// 🔒 Revoke issued tokens when status/role/password change
+userSchema.pre("save", function (next) {
+  if (!this.isNew && SESSION_SENSITIVE_FIELDS.some((f) => this.isModified(f))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.$locals.revokeTokens = true;
+  }
+  next();
+});
+
+userSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate() || {};
+  const $set = update.$set || {};
+
+  // never let callers set the version directly (updates often come from req.body)
+  delete update.tokenVersion;
+  delete $set.tokenVersion;
+
+  const touchesSession = SESSION_SENSITIVE_FIELDS.some((f) => f in update || f in $set);
+  if (touchesSession) {
+    update.$inc = { ...(update.$inc || {}), tokenVersion: 1 };
+    this._revokeTokens = true;
+  }
+  this.setUpdate(update);
+  next();
+});
+
+const revokeRefreshTokens = (userId, reason) =>
+  RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+userSchema.post("save", async function (doc) {
+  if (!doc.$locals.revokeTokens) return;
+  doc.$locals.revokeTokens = false;
+  await revokeRefreshTokens(doc._id, "account-changed");
+});
+
+userSchema.post("findOneAndUpdate", async function (doc) {
+  if (doc && this._revokeTokens) await revokeRefreshTokens(doc._id, "account-changed");
+});
+
+userSchema.post("findOneAndDelete", async function (doc) {
+  if (doc) await RefreshToken.deleteMany({ user: doc._id });
+});
+
 // ✅ Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -1,9 +1,9 @@
 // src/routes/admin.js
 import express from "express";
-import authMiddleware from "../middleware/auth.js";
+import authMiddleware, { requirePermission } from "../middleware/auth.js";
 
 // Models
-import User from "../models/User.js";
+import User from "../models/user.js";
 import DutyCharge from "../models/DutyChart.js";
 
 const router = express.Router();
@@ -11,13 +11,9 @@ const router = express.Router();
 /* ================================
    📌 MEMBER ROUTES
 ================================ */
-// ✅ Get all members (Admin/SuperAdmin only)
-router.get("/members", authMiddleware, async (req, res) => {
+// ✅ Get all members
+router.get("/members", authMiddleware, requirePermission("members:read"), async (req, res) => {
   try {
-    if (!["Admin", "SuperAdmin"].includes(req.user.role)) {
-      return res.status(403).json({ message: "Access denied" });
-    }
-
     const members = await User.find({ role: "Member" }).select("-password");
     res.json(members);
   } catch (err) {
@@ -30,12 +26,8 @@ router.get("/members", authMiddleware, async (req, res) => {
    📌 DUTY CHARGES ROUTES
 ================================ */
 // ✅ Create duty charge
-router.post("/dutycharge", authMiddleware, async (req, res) => {
+router.post("/dutycharge", authMiddleware, requirePermission("finance:assign-dues"), async (req, res) => {
   try {
-    if (!["Admin", "SuperAdmin"].includes(req.user.role)) {
-      return res.status(403).json({ message: "Access denied" });
-    }
-
     const { memberId, amount, description } = req.body;
 
     const dutyCharge = new DutyCharge({
@@ -54,7 +46,7 @@ router.post("/dutycharge", authMiddleware, async (req, res) => {
 });
 
 // ✅ Update duty charge status (paid/unpaid)
-router.put("/dutycharge/:id/status", authMiddleware, async (req, res) => {
+router.put("/dutycharge/:id/status", authMiddleware, requirePermission("finance:mark-paid"), async (req, res) => {
   try {
     const { status } = req.body;
 
@@ -73,13 +65,9 @@ router.put("/dutycharge/:id/status", authMiddleware, async (req, res) => {
   }
 });
 
-// ✅ Get all duty charges (Admin/SuperAdmin only)
-router.get("/dutycharge", authMiddleware, async (req, res) => {
+// ✅ Get all duty charges
+router.get("/dutycharge", authMiddleware, requirePermission("finance:read"), async (req, res) => {
   try {
-    if (!["Admin", "SuperAdmin"].includes(req.user.role)) {
-      return res.status(403).json({ message: "Access denied" });
-    }
-
     const dutyCharges = await DutyCharge.find()
       .populate("member", "username email")
       .populate("createdBy", "username");
@@ -1,10 +1,37 @@
 import express from "express";
-import { loginUser } from "../controllers/authController.js";
+import {
+  loginUser,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllDevices,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  getLoginLockouts,
+  clearLoginLockout,
+  getLoginHistory,
+} from "../controllers/authController.js";
 import User from "../models/user.js";
-import { auth, allowRoles } from "../middleware/auth.js";
-import crypto from "crypto";
+import DutyChart from "../models/DutyChart.js";
+import Miqaat from "../models/Miqaat.js";
+import { auth, authPasswordChange, requirePermission, requireScope } from "../middleware/auth.js";
 import { sendMail } from "../utils/mailer.js";
+import { generateRandomPassword } from "../utils/passwords.js";
 import { welcomeEmailTemplate } from "../templates/welcomeEmail.js";
+import { DASHBOARDS } from "../config/permissions.js";
+import { hasPermission } from "../utils/permissions.js";
+import {
+  getRoleDefinitions,
+  getPermissionCatalogue,
+  updateRoleDefinition,
+} from "../controllers/roleController.js";
+import { importMembers } from "../controllers/memberImportController.js";
+import { exportMembers } from "../controllers/memberExportController.js";
+import { getMemberLeaves, createMemberLeave, deleteMemberLeave } from "../controllers/leaveController.js";
+import { buildMemberQuery } from "../utils/memberFilters.js";
+import { userDutyChartFilter } from "../utils/dutyChartQueries.js";
+import { reportingDateTime } from "../utils/dutyAttendance.js";
+import { SPREADSHEET_EXTENSIONS } from "../utils/spreadsheet.js";
 import multer from "multer";
 import path from "path";
 
@@ -37,76 +64,129 @@ const upload = multer({
   }
 });
 
-// Utility: generate a random fallback password
-const generateRandomPassword = (len = 8) => {
-  return crypto
-    .randomBytes(Math.ceil(len / 2))
-    .toString("hex")
-    .slice(0, len)
-    .toUpperCase();
-};
+// 🆕 Spreadsheet uploads for bulk member import (kept in memory, never written to disk)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error("Only CSV or XLSX files are allowed!"));
+  }
+});
+
+// Fields a zone-scoped editor (Captain) may change on a member: contact and profile only
+const ZONE_EDITABLE_FIELDS = ["name", "surname", "email", "mobile", "whatsapp"];
+
+// Full-scope editors may also change these (passwords go through PUT /members/:id/password)
+const MEMBER_EDITABLE_FIELDS = [
+  ...ZONE_EDITABLE_FIELDS,
+  "role",
+  "designation",
+  "zone",
+  "status",
+  "mustChangePassword",
+  "itsNumber",
+  "duesReminderEmails",
+];
 
 // =================== AUTH =================== //
 // 🔌 Login user
 router.post("/login", loginUser);
 
+// 🔄 Exchange refresh token for a new access token (rotates the refresh token)
+router.post("/refresh", refreshAccessToken);
+
+// 🚪 Logout this device / all devices
+router.post("/logout", logoutUser);
+router.post("/logout-all", auth, logoutAllDevices);
+
+// 🔑 Self-service password reset via emailed one-time code
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+
+// =================== LOGIN SECURITY =================== //
+// 🔒 View and clear login lockouts
+router.get("/lockouts", auth, requirePermission("security:lockouts"), getLoginLockouts);
+router.delete("/lockouts/:id", auth, requirePermission("security:lockouts"), clearLoginLockout);
+
+// 📝 View a user's login history
+router.get("/members/:id/login-history", auth, requirePermission("security:login-history"), getLoginHistory);
+
+// =================== ROLES & PERMISSIONS =================== //
+router.get("/permissions", auth, requirePermission("roles:manage"), getPermissionCatalogue);
+router.get("/roles", auth, requirePermission("roles:manage"), getRoleDefinitions);
+router.put("/roles/:name", auth, requirePermission("roles:manage"), updateRoleDefinition);
+
 // =================== DASHBOARD ACCESS =================== //
-// SuperAdmin can access all dashboards
+// Each dashboard is gated by its own dashboard:* permission
 router.get(
   "/dashboard/superadmin",
   auth,
-  allowRoles("SuperAdmin"),
+  requirePermission("dashboard:superadmin"),
   async (req, res) => {
     res.json({ msg: "SuperAdmin dashboard access granted" });
   }
 );
 
-// Admin can access Admin, Captain, Member, Finance dashboards
 router.get(
   "/dashboard/admin",
   auth,
-  allowRoles("SuperAdmin", "Admin"),
+  requirePermission("dashboard:admin"),
   async (req, res) => {
     res.json({ msg: "Admin dashboard access granted" });
   }
 );
 
-// Captain can access Captain and Member dashboards
 router.get(
   "/dashboard/captain",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Captain"),
+  requirePermission("dashboard:captain"),
   async (req, res) => {
     res.json({ msg: "Captain dashboard access granted" });
   }
 );
 
-// Member can access only Member dashboard
 router.get(
   "/dashboard/member",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Captain", "Member"),
+  requirePermission("dashboard:member"),
   async (req, res) => {
     res.json({ msg: "Member dashboard access granted" });
   }
 );
 
 // =================== MEMBER MANAGEMENT =================== //
-// 🔌 Get all members (SuperAdmin + Admin + Finance)
-router.get("/members", auth, allowRoles("SuperAdmin", "Admin", "Finance"), async (req, res) => {
+// 🔌 Get all members (zone-scoped for Captains)
+// Filters: ?zone, ?role, ?designation, ?status, ?search
+router.get("/members", auth, requireScope("members:read"), async (req, res) => {
   try {
-    const members = await User.find().select("-password");
+    const query = buildMemberQuery(req.query, req.scope);
+    const members = await User.find(query).select("-password");
     res.json(members);
   } catch (err) {
     res.status(500).json({ msg: "Server error" });
   }
 });
 
+// 🔌 Export members as CSV / XLSX / PDF roster (same filters as the list)
+router.get("/members/export", auth, requireScope("members:read"), exportMembers);
+
+// 🔌 Bulk import members from CSV/XLSX (dry-run unless ?commit=true)
+router.post(
+  "/members/import",
+  auth,
+  requirePermission("members:create"),
+  importUpload.single("file"),
+  importMembers
+);
+
 // 🔌 Create new member (with optional profile picture)
 router.post(
   "/members",
   auth,
-  allowRoles("SuperAdmin", "Admin"),
+  requirePermission("members:create"),
   upload.single("profilePicture"),
   async (req, res) => {
     try {
@@ -191,19 +271,38 @@ router.post(
 router.put(
   "/members/:id",
   auth,
-  allowRoles("SuperAdmin", "Admin"),
+  requireScope("members:update"),
   upload.single("profilePicture"),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const updates = req.body;
+      const body = req.body || {};
+
+      // never hand the body to Mongoose as an update document ($set, $unset, $rename, ...)
+      if (Object.keys(body).some((key) => key.startsWith("$"))) {
+        return res.status(400).json({ msg: "Invalid update" });
+      }
+
+      // 🧭 Zone-scoped editors: only their zone, and only contact details
+      if (!req.scope.all) {
+        const target = await User.findById(id).select("zone");
+        if (!target || target.zone !== req.scope.zone) {
+          return res.status(404).json({ msg: "Member not found" });
+        }
+      }
+
+      const allowed = req.scope.all ? MEMBER_EDITABLE_FIELDS : ZONE_EDITABLE_FIELDS;
+      const $set = {};
+      for (const field of allowed) {
+        if (body[field] !== undefined) $set[field] = body[field];
+      }
 
       // Add profile picture path if uploaded
       if (req.file) {
-        updates.profilePicture = `/uploads/profiles/${req.file.filename}`;
+        $set.profilePicture = `/uploads/profiles/${req.file.filename}`;
       }
 
-      const member = await User.findByIdAndUpdate(id, updates, { new: true }).select("-password");
+      const member = await User.findByIdAndUpdate(id, { $set }, { new: true, runValidators: true }).select("-password");
       if (!member) return res.status(404).json({ msg: "Member not found" });
 
       res.json({ msg: "Member updated successfully", member });
@@ -213,8 +312,13 @@ router.put(
   }
 );
 
+// 🔌 Leaves of absence (checked when members are put on duty charts)
+router.get("/members/:id/leaves", auth, requireScope("members:read"), getMemberLeaves);
+router.post("/members/:id/leaves", auth, requireScope("members:update"), createMemberLeave);
+router.delete("/members/:id/leaves/:leaveId", auth, requireScope("members:update"), deleteMemberLeave);
+
 // 🔌 Delete member
-router.delete("/members/:id", auth, allowRoles("SuperAdmin", "Admin"), async (req, res) => {
+router.delete("/members/:id", auth, requirePermission("members:delete"), async (req, res) => {
   try {
     const { id } = req.params;
     const member = await User.findByIdAndDelete(id);
@@ -227,7 +331,7 @@ router.delete("/members/:id", auth, allowRoles("SuperAdmin", "Admin"), async (re
 });
 
 // 🔌 Reset member password
-router.put("/members/:id/password", auth, allowRoles("SuperAdmin", "Admin"), async (req, res) => {
+router.put("/members/:id/password", auth, requirePermission("members:reset-password"), async (req, res) => {
   try {
     const { password } = req.body;
     if (!password) return res.status(400).json({ msg: "Password required" });
@@ -236,6 +340,7 @@ router.put("/members/:id/password", auth, allowRoles("SuperAdmin", "Admin"), asy
     if (!member) return res.status(404).json({ msg: "Member not found" });
 
     member.password = password;
+    member.mustChangePassword = true; // admin-set password must be replaced at next login
     await member.save();
 
     res.json({ msg: "Password updated" });
@@ -286,56 +391,14 @@ router.get("/profile", auth, async (req, res) => {
   }
 });
 
-// 🔌 Get accessible dashboards for current user
+// 🔌 Get accessible dashboards for current user (derived from permissions)
 router.get("/accessible-dashboards", auth, async (req, res) => {
   try {
-    const role = req.user.role;
-    let dashboards = [];
-
-    switch (role) {
-      case "SuperAdmin":
-        dashboards = [
-          { name: "SuperAdmin", path: "/SuperAdminDashboard", icon: "Dashboard" },
-          { name: "Admin", path: "/admin-dashboard", icon: "AdminPanel" },
-          { name: "Captain", path: "/captain-dashboard", icon: "Shield" },
-          { name: "Finance", path: "/finance-dashboard", icon: "AccountBalance" },
-          { name: "Member", path: "/member-dashboard", icon: "Person" }
-        ];
-        break;
-
-      case "Admin":
-        dashboards = [
-          { name: "Admin", path: "/admin-dashboard", icon: "AdminPanel" },
-          { name: "Captain", path: "/captain-dashboard", icon: "Shield" },
-          { name: "Finance", path: "/finance-dashboard", icon: "AccountBalance" },
-          { name: "Member", path: "/member-dashboard", icon: "Person" }
-        ];
-        break;
-
-      case "Captain":
-        dashboards = [
-          { name: "Captain", path: "/captain-dashboard", icon: "Shield" },
-          { name: "Member", path: "/member-dashboard", icon: "Person" }
-        ];
-        break;
-
-      case "Finance":
-        dashboards = [
-          { name: "Finance", path: "/finance-dashboard", icon: "AccountBalance" }
-        ];
-        break;
-
-      case "Member":
-        dashboards = [
-          { name: "Member", path: "/member-dashboard", icon: "Person" }
-        ];
-        break;
-
-      default:
-        dashboards = [];
-    }
+    const dashboards = DASHBOARDS
+      .filter((d) => hasPermission(req.user, d.permission))
+      .map(({ name, path, icon }) => ({ name, path, icon }));
 
-    res.json({ role, dashboards });
+    res.json({ role: req.user.role, dashboards, permissions: req.user.permissions });
   } catch (err) {
     res.status(500).json({ msg: "Server error" });
   }
@@ -343,34 +406,8 @@ router.get("/accessible-dashboards", auth, async (req, res) => {
 
 // =================== MEMBER FEATURES =================== //
 
-// 🔌 Change password
-router.put("/change-password", auth, async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body;
-    
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ msg: "Current and new password required" });
-    }
-
-    const user = await User.findById(req.user.id);
-    if (!user) return res.status(404).json({ msg: "User not found" });
-
-    // Verify current password
-    const isMatch = await user.matchPassword(currentPassword);
-    if (!isMatch) {
-      return res.status(400).json({ msg: "Current password is incorrect" });
-    }
-
-    // Update password
-    user.password = newPassword;
-    await user.save();
-
-    res.json({ msg: "Password changed successfully" });
-  } catch (err) {
-    console.error("Change password error:", err);
-    res.status(500).json({ msg: "Server error" });
-  }
-});
+// 🔌 Change password (also accepts the restricted mustChangePassword token)
+router.put("/change-password", authPasswordChange, changePassword);
 
 // 🔌 Get member notifications
 router.get("/notifications", auth, async (req, res) => {
@@ -401,19 +438,65 @@ router.get("/notifications", auth, async (req, res) => {
   }
 });
 
-// 🔌 Get member analytics
+// 🔌 Get member analytics (real duty & attendance numbers)
 router.get("/analytics", auth, async (req, res) => {
   try {
     const userId = req.user.id;
-    
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const dutyFilter = userDutyChartFilter(userId);
+    const [totalDuties, pendingDuties, attendanceRecords, pastLinkedCharts] = await Promise.all([
+      DutyChart.countDocuments(dutyFilter),
+      DutyChart.countDocuments({ ...dutyFilter, dutyDate: { $gte: today } }),
+      Miqaat.find({ "attendance.member": userId })
+        .select({ attendance: { $elemMatch: { member: userId } } })
+        .lean(),
+      DutyChart.find({ ...dutyFilter, dutyDate: { $lt: today }, miqaat: { $ne: null } })
+        .select("miqaat dutyDate reportingTime")
+        .lean(),
+    ]);
+
+    const attended = attendanceRecords.filter((m) =>
+      ["Present", "Late"].includes(m.attendance?.[0]?.status)
+    ).length;
+    const attendanceRate = attendanceRecords.length
+      ? Math.round((attended / attendanceRecords.length) * 100)
+      : 0;
+
+    // past duties on charts linked to a Miqaat: did the member actually turn up?
+    const recordByMiqaat = new Map(attendanceRecords.map((m) => [String(m._id), m.attendance?.[0]]));
+    let dutiesAttended = 0;
+    let lateDuties = 0;
+    for (const chart of pastLinkedCharts) {
+      const record = recordByMiqaat.get(String(chart.miqaat));
+      if (!["Present", "Late"].includes(record?.status)) continue;
+      dutiesAttended++;
+      const reportingAt = reportingDateTime(chart.dutyDate, chart.reportingTime);
+      if (record.status === "Late" || (record.checkIn && reportingAt && new Date(record.checkIn) > reportingAt))
+        lateDuties++;
+    }
+    const missedDuties = pastLinkedCharts.length - dutiesAttended;
+    const dutyAttendanceRate = pastLinkedCharts.length
+      ? Math.round((dutiesAttended / pastLinkedCharts.length) * 100)
+      : null;
+
     const analytics = {
-      totalDuties: 15,
-      completedDuties: 12,
-      pendingDuties: 3,
-      attendanceRate: 80,
-      performanceScore: 85
+      totalDuties,
+      // unlinked past charts have no attendance to check and count as done
+      completedDuties: totalDuties - pendingDuties - missedDuties,
+      pendingDuties,
+      missedDuties,
+      lateDuties,
+      attendanceRate,
+      dutyAttendanceRate,
+      // on-time duties when there is duty attendance, otherwise Miqaat attendance
+      performanceScore:
+        dutyAttendanceRate === null
+          ? attendanceRate
+          : Math.round(((dutiesAttended - lateDuties) / pastLinkedCharts.length) * 100),
     };
-    
+
     res.json(analytics);
   } catch (err) {
     console.error("Analytics error:", err);
@@ -1,21 +1,100 @@
 import express from "express";
-import { auth, allowRoles } from "../middleware/auth.js"; // ✅ use correct middleware
+import { auth, requirePermission, requireScope } from "../middleware/auth.js"; // ✅ use correct middleware
 import {
   createDutyChart,
   getAllDutyCharts,
   getDutyChartById,
   updateDutyChart,
   deleteDutyChart,
+  updateDutyAssignment,
+  getMyDutyCharts,
+  getDutyChartPdf,
+  getDutySlip,
+  checkDutyChartConflicts,
+  autoAssignDutyChart,
+  getChartAcknowledgements,
+  getDutyChartAttendance,
 } from "../controllers/dutyChartController.js";
+import {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createChartFromTemplate,
+  cloneDutyChart,
+} from "../controllers/dutyChartTemplateController.js";
+import {
+  acknowledgeAssignment,
+  declineAssignment,
+  requestSwap,
+  getMySwaps,
+  respondToSwap,
+  cancelSwap,
+  getSwapRequests,
+  decideSwap,
+} from "../controllers/dutySwapController.js";
+import {
+  getChartRevisions,
+  getDeletedCharts,
+  getChartRevision,
+  diffChartRevisions,
+  restoreChartRevision,
+} from "../controllers/dutyChartRevisionController.js";
 
 const router = express.Router();
 
 // =================== DUTY CHART MANAGEMENT =================== //
-// 📌 Only Admin + SuperAdmin can manage duty charts
-router.post("/", auth, allowRoles("SuperAdmin", "Admin"), createDutyChart);
-router.get("/", auth, allowRoles("SuperAdmin", "Admin"), getAllDutyCharts);
-router.get("/:id", auth, allowRoles("SuperAdmin", "Admin"), getDutyChartById);
-router.put("/:id", auth, allowRoles("SuperAdmin", "Admin"), updateDutyChart);
-router.delete("/:id", auth, allowRoles("SuperAdmin", "Admin"), deleteDutyChart);
+// 📌 dutychart:read to view, dutychart:write to manage
+// 🧭 Captains hold the ":zone" variants → only assignments involving their zone
+// ⚠️ create/update return schedule conflicts; ?strict=true rejects them with 409
+router.post("/", auth, requirePermission("dutychart:write"), createDutyChart);
+router.post("/check-conflicts", auth, requirePermission("dutychart:write"), checkDutyChartConflicts);
+router.get("/", auth, requireScope("dutychart:read"), getAllDutyCharts);
+// 🔓 Any logged-in user: charts & assignment rows they are part of (before "/:id")
+router.get("/mine", auth, getMyDutyCharts);
+
+// =================== TEMPLATES & CLONING (before "/:id") =================== //
+router.get("/templates", auth, requirePermission("dutychart:write"), getTemplates);
+router.post("/templates", auth, requirePermission("dutychart:write"), createTemplate);
+router.get("/templates/:templateId", auth, requirePermission("dutychart:write"), getTemplateById);
+router.put("/templates/:templateId", auth, requirePermission("dutychart:write"), updateTemplate);
+router.delete("/templates/:templateId", auth, requirePermission("dutychart:write"), deleteTemplate);
+router.post("/templates/:templateId/charts", auth, requirePermission("dutychart:write"), createChartFromTemplate);
+router.post("/:id/clone", auth, requirePermission("dutychart:write"), cloneDutyChart);
+
+// =================== SWAPS (before "/:id") =================== //
+// 🔓 Own swaps: requester or colleague
+router.get("/swaps/mine", auth, getMySwaps);
+router.post("/swaps/:swapId/respond", auth, respondToSwap);
+router.post("/swaps/:swapId/cancel", auth, cancelSwap);
+// 🧭 Approval: zone Captains for their zone's members, Admins for all
+router.get("/swaps", auth, requireScope("dutychart:write"), getSwapRequests);
+router.post("/swaps/:swapId/decide", auth, requireScope("dutychart:write"), decideSwap);
+
+// =================== REVISIONS =================== //
+// 🕘 Every save/delete is kept; deleted charts are restored under their old _id
+router.get("/revisions/deleted", auth, requirePermission("dutychart:write"), getDeletedCharts);
+router.get("/:id/revisions", auth, requirePermission("dutychart:write"), getChartRevisions);
+router.get("/:id/revisions/diff", auth, requirePermission("dutychart:write"), diffChartRevisions);
+router.get("/:id/revisions/:revision", auth, requirePermission("dutychart:write"), getChartRevision);
+router.post("/:id/revisions/:revision/restore", auth, requirePermission("dutychart:write"), restoreChartRevision);
+
+router.get("/:id", auth, requireScope("dutychart:read"), getDutyChartById);
+router.get("/:id/pdf", auth, requireScope("dutychart:read"), getDutyChartPdf);
+// 🔓 Own slip via "me" (or own id); others need dutychart:read (zone-limited for Captains)
+router.get("/:id/slip/:memberId", auth, getDutySlip);
+router.put("/:id", auth, requirePermission("dutychart:write"), updateDutyChart);
+// 🤖 Proposal only; nothing is saved until the admin PUTs the (tweaked) assignments
+router.post("/:id/auto-assign", auth, requirePermission("dutychart:write"), autoAssignDutyChart);
+router.patch("/:id/assignments/:assignmentId", auth, requireScope("dutychart:write"), updateDutyAssignment);
+// 📋 Needs a linked Miqaat: assigned-but-absent, unassigned attendees, lateness
+router.get("/:id/attendance", auth, requireScope("dutychart:read"), getDutyChartAttendance);
+router.get("/:id/acknowledgements", auth, requireScope("dutychart:read"), getChartAcknowledgements);
+// 🔓 Only people on the assignment itself
+router.post("/:id/assignments/:assignmentId/acknowledge", auth, acknowledgeAssignment);
+router.post("/:id/assignments/:assignmentId/decline", auth, declineAssignment);
+router.post("/:id/assignments/:assignmentId/swap", auth, requestSwap);
+router.delete("/:id", auth, requirePermission("dutychart:write"), deleteDutyChart);
 
 export default router;
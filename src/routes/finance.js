@@ -1,11 +1,88 @@
 // routes/finance.js
 import express from "express";
-import { auth, allowRoles } from "../middleware/auth.js";
-import Payment from "../models/Payment.js";
+import { auth, requirePermission, requireScope } from "../middleware/auth.js";
+import Payment, { PAYMENT_TYPES, PAYMENT_METHODS } from "../models/Payment.js";
+import FeeSchedule from "../models/FeeSchedule.js";
 import User from "../models/user.js";
+import {
+  paidAmountOf,
+  outstandingOf,
+  chronologicalTransactions,
+  summarizePayments,
+  PAID_AMOUNT_EXPR,
+} from "../utils/paymentLedger.js";
+import { runDuesReminderJob, reminderOffsets } from "../utils/duesReminders.js";
+import { renderPaymentReceiptPdf } from "../utils/paymentReceiptPdf.js";
+import {
+  findApplicableSchedule,
+  findOverlappingSchedule,
+  amountForMember,
+  dueDateFor,
+} from "../utils/feeSchedules.js";
+import { hasPermission } from "../utils/permissions.js";
+import { PAYMENT_PROOFS_DIR } from "../config/paths.js";
+import Notification from "../models/Notification.js";
+import multer from "multer";
+import path from "path";
+import fs from "fs";
 
 const router = express.Router();
 
+// 🔒 Payment proof uploads (same setup as profile pictures, but kept in a
+// private folder that is not served from /uploads). Proofs store only the
+// file name; it is resolved against PAYMENT_PROOFS_DIR when read.
+const proofPath = (file) => path.join(PAYMENT_PROOFS_DIR, path.basename(file));
+
+const proofStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdirSync(PAYMENT_PROOFS_DIR, { recursive: true });
+    cb(null, PAYMENT_PROOFS_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = `${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(file.originalname).toLowerCase()}`;
+    cb(null, uniqueName);
+  }
+});
+
+const proofUpload = multer({
+  storage: proofStorage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error("Only image or PDF files are allowed!"));
+  }
+});
+
+// null for missing or unparseable input (Invalid Date would fail the cast with a 500)
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Payment uses optimisticConcurrency: saving a stale copy of a due (another
+// installment / approval landed in between) throws a VersionError → 409
+const isVersionConflict = (err) => err?.name === "VersionError";
+const PAYMENT_CONFLICT = { msg: "This payment was changed at the same time. Reload it and try again." };
+
+const removeFile = (file) => fs.promises.unlink(file).catch(() => {});
+
+// in-app message to the member about one of their dues
+const notifyMember = (payment, message, createdBy) =>
+  Notification.create({
+    message,
+    type: "payment",
+    paymentId: payment._id,
+    createdBy,
+    forUsers: [payment.memberId],
+    readBy: [],
+  }).catch((err) => console.error("⚠️ Payment notification failed:", err.message));
+
 // 📌 Helper: Calculate subscription year
 const calculateSubscriptionYear = (registrationDate) => {
   const regDate = new Date(registrationDate);
@@ -26,7 +103,7 @@ const calculateSubscriptionYear = (registrationDate) => {
 router.get(
   "/overview",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requirePermission("finance:read"),
   async (req, res) => {
     try {
       const currentYear = new Date().getFullYear();
@@ -43,18 +120,16 @@ router.get(
         new Date(p.dueDate).getFullYear() === currentYear
       );
 
-      const totalRevenue = payments
-        .filter((p) => p.status === "Paid")
-        .reduce((sum, p) => sum + p.amount, 0);
+      // received / outstanding amounts come from each due's ledger
+      const totalRevenue = payments.reduce((sum, p) => sum + paidAmountOf(p), 0);
 
-      const pendingPayments = payments.filter(
-        (p) => p.status === "Pending" || p.status === "Overdue"
-      );
+      const pendingPayments = payments.filter((p) => p.status !== "Paid");
       
-      const pendingAmount = pendingPayments.reduce((sum, p) => sum + p.amount, 0);
+      const pendingAmount = pendingPayments.reduce((sum, p) => sum + outstandingOf(p), 0);
       const paidCount = currentYearPayments.filter((p) => p.status === "Paid").length;
       const pendingCount = pendingPayments.length;
       const overdueCount = pendingPayments.filter(p => p.status === "Overdue").length;
+      const partialCount = pendingPayments.filter(p => p.status === "Partial").length;
 
       const collectionRate = totalMembers > 0 
         ? ((paidCount / totalMembers) * 100).toFixed(2) 
@@ -66,43 +141,23 @@ router.get(
             paymentType: "Annual Subscription"
           } 
         },
+        { $addFields: { ledgerPaid: PAID_AMOUNT_EXPR } },
         {
           $group: {
             _id: "$zone",
             totalAmount: { $sum: "$amount" },
-            paidAmount: {
-              $sum: { $cond: [{ $eq: ["$status", "Paid"] }, "$amount", 0] },
-            },
+            paidAmount: { $sum: "$ledgerPaid" },
             pendingAmount: {
-              $sum: {
-                $cond: [
-                  {
-                    $or: [
-                      { $eq: ["$status", "Pending"] },
-                      { $eq: ["$status", "Overdue"] },
-                    ],
-                  },
-                  "$amount",
-                  0,
-                ],
-              },
+              $sum: { $max: [0, { $subtract: ["$amount", "$ledgerPaid"] }] },
             },
             paidCount: {
               $sum: { $cond: [{ $eq: ["$status", "Paid"] }, 1, 0] }
             },
+            partialCount: {
+              $sum: { $cond: [{ $eq: ["$status", "Partial"] }, 1, 0] }
+            },
             pendingCount: {
-              $sum: {
-                $cond: [
-                  {
-                    $or: [
-                      { $eq: ["$status", "Pending"] },
-                      { $eq: ["$status", "Overdue"] },
-                    ],
-                  },
-                  1,
-                  0,
-                ]
-              }
+              $sum: { $cond: [{ $ne: ["$status", "Paid"] }, 1, 0] }
             },
             count: { $sum: 1 },
           },
@@ -110,13 +165,27 @@ router.get(
         { $sort: { _id: 1 } }
       ]);
 
-      const recentTransactions = await Payment.find({ 
-        status: "Paid",
-        paymentType: "Annual Subscription" 
-      })
-        .sort({ paidDate: -1 })
-        .limit(10)
-        .select("memberName itsNumber amount paidDate paymentMethod zone subscriptionYear");
+      // latest individual receipts (a partly paid due shows each installment)
+      const recentTransactions = await Payment.aggregate([
+        { $match: { paymentType: "Annual Subscription", "transactions.0": { $exists: true } } },
+        { $unwind: "$transactions" },
+        { $sort: { "transactions.paidDate": -1 } },
+        { $limit: 10 },
+        {
+          $project: {
+            paymentId: "$_id",
+            memberName: 1,
+            itsNumber: 1,
+            zone: 1,
+            subscriptionYear: 1,
+            status: 1,
+            amount: "$transactions.amount",
+            paidDate: "$transactions.paidDate",
+            paymentMethod: "$transactions.paymentMethod",
+            receiptNumber: "$transactions.receiptNumber",
+          },
+        },
+      ]);
 
       res.json({
         overview: {
@@ -126,6 +195,7 @@ router.get(
           paidCount,
           pendingCount,
           overdueCount,
+          partialCount,
           collectionRate,
           subscriptionYear,
         },
@@ -139,11 +209,11 @@ router.get(
   }
 );
 
-// 📌 Get all members with their payment status
+// 📌 Get all members with their payment status (zone-scoped for Captains)
 router.get(
   "/members-with-dues",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requireScope("finance:read"),
   async (req, res) => {
     try {
       const { zone, search, role } = req.query;
@@ -156,6 +226,11 @@ router.get(
       if (zone && zone !== "All") {
         userQuery.zone = zone;
       }
+
+      // 🧭 Zone-scoped viewers only ever see their own zone
+      if (!req.scope.all) {
+        userQuery.zone = req.scope.zone;
+      }
       
       if (role && role !== "All") {
         userQuery.role = role;
@@ -173,24 +248,24 @@ router.get(
         .select("name surname email mobile itsNumber zone role designation createdAt")
         .sort({ name: 1 });
       
-      const payments = await Payment.find({})
-        .select("memberId amount status paymentType subscriptionYear dueDate paidDate");
+      const payments = await Payment.find({ memberId: { $in: members.map((m) => m._id) } })
+        .select("memberId amount paidAmount status paymentType subscriptionYear dueDate paidDate transactions");
       
       const membersWithDues = members.map(member => {
         const memberPayments = payments.filter(
           p => p.memberId.toString() === member._id.toString()
         );
         
+        // Pending, Overdue and Partial dues all still have something outstanding
         const pendingPayments = memberPayments.filter(
-          p => p.status === "Pending" || p.status === "Overdue"
+          p => p.status !== "Paid"
         );
         
         const paidPayments = memberPayments.filter(
           p => p.status === "Paid"
         );
         
-        const totalDue = pendingPayments.reduce((sum, p) => sum + p.amount, 0);
-        const totalPaid = paidPayments.reduce((sum, p) => sum + p.amount, 0);
+        const { totalOutstanding: totalDue, totalPaid, partialCount } = summarizePayments(memberPayments);
         
         return {
           _id: member._id,
@@ -207,6 +282,7 @@ router.get(
           totalPaid,
           pendingCount: pendingPayments.length,
           paidCount: paidPayments.length,
+          partialCount,
           payments: memberPayments,
           hasPendingDues: pendingPayments.length > 0
         };
@@ -225,7 +301,7 @@ router.get(
 router.get(
   "/member-payments/:memberId",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requirePermission("finance:read"),
   async (req, res) => {
     try {
       const { memberId } = req.params;
@@ -234,28 +310,8 @@ router.get(
         .sort({ createdAt: -1 })
         .populate("recordedBy", "name surname");
       
-      // Calculate summary
-      const summary = {
-        totalPaid: 0,
-        totalPending: 0,
-        totalOverdue: 0,
-        paidCount: 0,
-        pendingCount: 0,
-        overdueCount: 0
-      };
-      
-      payments.forEach(payment => {
-        if (payment.status === "Paid") {
-          summary.totalPaid += payment.amount;
-          summary.paidCount++;
-        } else if (payment.status === "Overdue") {
-          summary.totalOverdue += payment.amount;
-          summary.overdueCount++;
-        } else if (payment.status === "Pending") {
-          summary.totalPending += payment.amount;
-          summary.pendingCount++;
-        }
-      });
+      // Paid vs. outstanding amounts from the ledger
+      const summary = summarizePayments(payments);
       
       res.json({
         payments,
@@ -267,22 +323,27 @@ router.get(
     }
   }
 );
-// 📌 Get all members with pending dues
+// 📌 Get all members with pending dues (zone-scoped for Captains)
 router.get(
   "/pending-dues",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requireScope("finance:read"),
   async (req, res) => {
     try {
       const { zone, search } = req.query;
       
       let query = {
-        status: { $in: ["Pending", "Overdue"] }
+        status: { $in: ["Pending", "Overdue", "Partial", "Under Verification"] }
       };
       
       if (zone && zone !== "All") {
         query.zone = zone;
       }
+
+      // 🧭 Zone-scoped viewers only ever see their own zone
+      if (!req.scope.all) {
+        query.zone = req.scope.zone;
+      }
       
       if (search) {
         query.$or = [
@@ -307,7 +368,7 @@ router.get(
 router.get(
   "/payments",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requirePermission("finance:read"),
   async (req, res) => {
     try {
       const { status, zone, subscriptionYear, paymentType, search } = req.query;
@@ -351,28 +412,8 @@ router.get(
         .sort({ createdAt: -1 })
         .populate("recordedBy", "name surname");
       
-      // Calculate summary
-      const summary = {
-        totalPaid: 0,
-        totalPending: 0,
-        totalOverdue: 0,
-        paidCount: 0,
-        pendingCount: 0,
-        overdueCount: 0
-      };
-      
-      payments.forEach(payment => {
-        if (payment.status === "Paid") {
-          summary.totalPaid += payment.amount;
-          summary.paidCount++;
-        } else if (payment.status === "Overdue") {
-          summary.totalOverdue += payment.amount;
-          summary.overdueCount++;
-        } else if (payment.status === "Pending") {
-          summary.totalPending += payment.amount;
-          summary.pendingCount++;
-        }
-      });
+      // Paid vs. outstanding amounts from the ledger
+      const summary = summarizePayments(payments);
       
       res.json({
         payments,
@@ -385,23 +426,557 @@ router.get(
   }
 );
 
+// 📌 Member's own receipts (one per ledger transaction, newest first)
+router.get(
+  "/my-receipts",
+  auth,
+  async (req, res) => {
+    try {
+      const payments = await Payment.find({ memberId: req.user.id, "transactions.0": { $exists: true } })
+        .select("paymentType subscriptionYear amount transactions")
+        .lean();
+
+      const receipts = payments
+        .flatMap((p) =>
+          p.transactions.map((t) => ({
+            paymentId: p._id,
+            transactionId: t._id,
+            receiptNumber: t.receiptNumber,
+            amount: t.amount,
+            paidDate: t.paidDate,
+            paymentMethod: t.paymentMethod,
+            transactionRef: t.transactionId,
+            paymentType: p.paymentType,
+            subscriptionYear: p.subscriptionYear,
+          }))
+        )
+        .sort((a, b) => new Date(b.paidDate) - new Date(a.paidDate));
+
+      res.json(receipts);
+    } catch (err) {
+      console.error("Get my receipts error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Receipt PDF for one ledger transaction — the member themself or finance readers
+router.get(
+  "/payments/:id/transactions/:transactionId/receipt",
+  auth,
+  async (req, res) => {
+    try {
+      const payment = await Payment.findById(req.params.id);
+      if (!payment) return res.status(404).json({ msg: "Payment not found" });
+
+      const isOwner = String(payment.memberId) === String(req.user.id);
+      if (!isOwner && !hasPermission(req.user, "finance:read")) {
+        return res.status(403).json({ msg: "Access denied. Missing permission: finance:read" });
+      }
+
+      const ledger = chronologicalTransactions(payment);
+      const index = ledger.findIndex((t) => String(t._id) === req.params.transactionId);
+      if (index === -1) return res.status(404).json({ msg: "Transaction not found" });
+      const transaction = ledger[index];
+
+      // balance as it stood right after this receipt
+      const paidSoFar = ledger.slice(0, index + 1).reduce((sum, t) => sum + t.amount, 0);
+      const balance = Math.max(0, payment.amount - paidSoFar);
+
+      const member = await User.findById(payment.memberId).select("name surname itsNumber zone").lean();
+
+      const filename = `receipt-${String(transaction.receiptNumber || transaction._id).replace(/[^A-Za-z0-9-]+/g, "-")}.pdf`;
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      renderPaymentReceiptPdf(payment, transaction, member, balance, res);
+    } catch (err) {
+      console.error("Receipt PDF error:", err);
+      if (res.headersSent) return res.end();
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Member uploads a UPI / bank-transfer proof against one of their own unpaid dues
+router.post(
+  "/my-payments/:id/proof",
+  auth,
+  proofUpload.single("proof"),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ msg: "No file uploaded" });
+
+      const payment = await Payment.findById(req.params.id);
+      if (!payment || String(payment.memberId) !== String(req.user.id)) {
+        await removeFile(req.file.path);
+        return res.status(404).json({ msg: "Payment not found" });
+      }
+      if (!["Pending", "Overdue", "Partial"].includes(payment.status)) {
+        await removeFile(req.file.path);
+        return res.status(400).json({
+          msg: payment.status === "Under Verification"
+            ? "A proof for this payment is already being verified"
+            : "This payment is already paid",
+        });
+      }
+
+      if (req.body.paymentMethod && !PAYMENT_METHODS.includes(req.body.paymentMethod)) {
+        await removeFile(req.file.path);
+        return res.status(400).json({ msg: `Payment method must be one of: ${PAYMENT_METHODS.join(", ")}` });
+      }
+
+      const outstanding = outstandingOf(payment);
+      const amount = req.body.amount ? Number(req.body.amount) : outstanding;
+      if (!amount || amount <= 0 || amount > outstanding) {
+        await removeFile(req.file.path);
+        return res.status(400).json({ msg: `Amount must be between 1 and the outstanding balance (${outstanding})`, outstanding });
+      }
+
+      payment.proofs.push({
+        file: req.file.filename,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        amount,
+        paymentMethod: req.body.paymentMethod || "UPI",
+        transactionId: req.body.transactionId || "",
+        note: req.body.note || "",
+      });
+      payment.paymentProof = req.file.filename;
+      await payment.save();
+
+      res.status(201).json({
+        msg: "Payment proof uploaded — waiting for verification",
+        payment,
+      });
+    } catch (err) {
+      if (req.file) await removeFile(req.file.path);
+      if (isVersionConflict(err)) return res.status(409).json(PAYMENT_CONFLICT);
+      console.error("Upload payment proof error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Verification queue: dues with a proof waiting for review (oldest first)
+router.get(
+  "/proofs/pending",
+  auth,
+  requirePermission("finance:mark-paid"),
+  async (req, res) => {
+    try {
+      const payments = await Payment.find({ "proofs.status": "Pending" })
+        .populate("memberId", "name surname itsNumber email mobile zone")
+        .lean();
+
+      const queue = payments
+        .map((p) => {
+          const { proofs, ...payment } = p;
+          const proof = proofs.find((pr) => pr.status === "Pending");
+          return { payment: { ...payment, outstandingAmount: outstandingOf(p) }, proof };
+        })
+        .sort((a, b) => new Date(a.proof.submittedAt) - new Date(b.proof.submittedAt));
+
+      res.json(queue);
+    } catch (err) {
+      console.error("Get proof queue error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Proof file — only the member who uploaded it and finance roles
+router.get(
+  "/payments/:id/proofs/:proofId/file",
+  auth,
+  async (req, res) => {
+    try {
+      const payment = await Payment.findById(req.params.id).select("memberId proofs");
+      if (!payment) return res.status(404).json({ msg: "Payment not found" });
+
+      const isOwner = String(payment.memberId) === String(req.user.id);
+      if (!isOwner && !hasPermission(req.user, "finance:read")) {
+        return res.status(403).json({ msg: "Access denied. Missing permission: finance:read" });
+      }
+
+      const proof = payment.proofs.id(req.params.proofId);
+      if (!proof || !fs.existsSync(proofPath(proof.file))) return res.status(404).json({ msg: "Proof not found" });
+
+      res.setHeader("Cache-Control", "private, no-store");
+      res.setHeader("Content-Disposition", `inline; filename="${path.basename(proof.file)}"`);
+      res.sendFile(proofPath(proof.file));
+    } catch (err) {
+      console.error("Get proof file error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Approve a proof: records the payment in the ledger (receipt issued on save)
+router.post(
+  "/payments/:id/proofs/:proofId/approve",
+  auth,
+  requirePermission("finance:mark-paid"),
+  async (req, res) => {
+    try {
+      const payment = await Payment.findById(req.params.id);
+      if (!payment) return res.status(404).json({ msg: "Payment not found" });
+
+      const proof = payment.proofs.id(req.params.proofId);
+      if (!proof) return res.status(404).json({ msg: "Proof not found" });
+      if (proof.status !== "Pending") {
+        return res.status(400).json({ msg: `This proof was already ${proof.status.toLowerCase()}` });
+      }
+
+      // finance may correct the amount actually received
+      const outstanding = outstandingOf(payment);
+      const amount = Math.min(Number(req.body.amount) || proof.amount, outstanding);
+      if (amount <= 0) return res.status(400).json({ msg: "Nothing outstanding on this payment" });
+
+      proof.status = "Approved";
+      proof.reviewedBy = req.user.id;
+      proof.reviewedAt = new Date();
+
+      const transaction = payment.addTransaction({
+        amount,
+        paymentMethod: proof.paymentMethod,
+        transactionId: proof.transactionId,
+        paidDate: new Date(),
+        remarks: req.body.remarks || "Verified payment proof",
+        recordedBy: req.user.id,
+      });
+      await payment.save();
+
+      await notifyMember(
+        payment,
+        `Your payment of ₹${amount} was verified. Receipt ${transaction.receiptNumber}.` +
+          (payment.status === "Paid" ? "" : ` Outstanding: ₹${outstandingOf(payment)}.`),
+        req.user.id
+      );
+
+      res.json({ msg: "Payment proof approved", payment, transaction });
+    } catch (err) {
+      if (isVersionConflict(err)) return res.status(409).json(PAYMENT_CONFLICT);
+      console.error("Approve proof error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Reject a proof (reason required); the due goes back to its previous status
+router.post(
+  "/payments/:id/proofs/:proofId/reject",
+  auth,
+  requirePermission("finance:mark-paid"),
+  async (req, res) => {
+    try {
+      const reason = String(req.body.reason || "").trim();
+      if (!reason) return res.status(400).json({ msg: "Please give a reason for rejecting" });
+
+      const payment = await Payment.findById(req.params.id);
+      if (!payment) return res.status(404).json({ msg: "Payment not found" });
+
+      const proof = payment.proofs.id(req.params.proofId);
+      if (!proof) return res.status(404).json({ msg: "Proof not found" });
+      if (proof.status !== "Pending") {
+        return res.status(400).json({ msg: `This proof was already ${proof.status.toLowerCase()}` });
+      }
+
+      proof.status = "Rejected";
+      proof.reviewedBy = req.user.id;
+      proof.reviewedAt = new Date();
+      proof.rejectionReason = reason;
+      await payment.save();
+
+      await notifyMember(
+        payment,
+        `Your payment proof for ${payment.paymentType}${payment.subscriptionYear ? ` ${payment.subscriptionYear}` : ""} was rejected: ${reason}`,
+        req.user.id
+      );
+
+      res.json({ msg: "Payment proof rejected", payment });
+    } catch (err) {
+      if (isVersionConflict(err)) return res.status(409).json(PAYMENT_CONFLICT);
+      console.error("Reject proof error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Member's own dues reminder preference (in-app reminders are always sent)
+router.get(
+  "/reminder-preferences",
+  auth,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id).select("duesReminderEmails");
+      if (!user) return res.status(404).json({ msg: "User not found" });
+
+      res.json({ duesReminderEmails: user.duesReminderEmails !== false, offsets: reminderOffsets() });
+    } catch (err) {
+      console.error("Get reminder preferences error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+router.put(
+  "/reminder-preferences",
+  auth,
+  async (req, res) => {
+    try {
+      const { duesReminderEmails } = req.body;
+      if (typeof duesReminderEmails !== "boolean") {
+        return res.status(400).json({ msg: "duesReminderEmails must be true or false" });
+      }
+
+      await User.updateOne({ _id: req.user.id }, { $set: { duesReminderEmails } });
+      res.json({
+        msg: duesReminderEmails ? "Dues reminder emails turned on" : "Dues reminder emails turned off",
+        duesReminderEmails,
+      });
+    } catch (err) {
+      console.error("Update reminder preferences error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Run the overdue + reminders job now (it also runs on a schedule)
+router.post(
+  "/reminders/run",
+  auth,
+  requirePermission("finance:generate-dues"),
+  async (req, res) => {
+    try {
+      const result = await runDuesReminderJob();
+      if (!result) return res.status(409).json({ msg: "The reminder job is already running" });
+
+      res.json({ msg: "Dues reminder job completed", ...result });
+    } catch (err) {
+      console.error("Run dues reminders error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Fee schedules (what each fee costs and when it falls due).
+// Dues copy the amount when issued, so edits only affect dues generated later.
+const FEE_SCHEDULE_FIELDS = [
+  "name",
+  "feeType",
+  "description",
+  "defaultAmount",
+  "rates",
+  "effectiveFrom",
+  "effectiveTo",
+  "dueRule",
+  "active",
+];
+
+// validates, then refuses a clash with another active schedule of the same fee type
+const checkFeeSchedule = async (schedule) => {
+  const validationError = schedule.validateSync();
+  if (validationError) return { status: 400, msg: validationError.message };
+
+  if (!schedule.active) return null;
+  const overlapping = await findOverlappingSchedule({
+    feeType: schedule.feeType,
+    effectiveFrom: schedule.effectiveFrom,
+    effectiveTo: schedule.effectiveTo,
+    excludeId: schedule._id,
+  });
+  if (overlapping) {
+    return {
+      status: 409,
+      msg: `Overlaps with active schedule "${overlapping.name}" for ${schedule.feeType}`,
+      overlapping: overlapping._id,
+    };
+  }
+  return null;
+};
+
+router.get(
+  "/fee-schedules",
+  auth,
+  requirePermission("finance:read"),
+  async (req, res) => {
+    try {
+      const { feeType, active } = req.query;
+      const filter = {};
+      if (feeType) filter.feeType = feeType;
+      if (active !== undefined) filter.active = active === "true";
+
+      const schedules = await FeeSchedule.find(filter)
+        .sort({ feeType: 1, effectiveFrom: -1 })
+        .populate("createdBy updatedBy", "name surname itsNumber")
+        .lean();
+
+      res.json(schedules);
+    } catch (err) {
+      console.error("Get fee schedules error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Schedule currently applied for a fee type (what the generators will use)
+router.get(
+  "/fee-schedules/current",
+  auth,
+  requirePermission("finance:read"),
+  async (req, res) => {
+    try {
+      const { feeType = "Annual Subscription" } = req.query;
+      if (!PAYMENT_TYPES.includes(feeType)) {
+        return res.status(400).json({ msg: "Invalid fee type" });
+      }
+
+      const schedule = await findApplicableSchedule(feeType);
+      if (!schedule) {
+        return res.status(404).json({ msg: `No active fee schedule for ${feeType}` });
+      }
+      res.json(schedule);
+    } catch (err) {
+      console.error("Get current fee schedule error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+router.get(
+  "/fee-schedules/:id",
+  auth,
+  requirePermission("finance:read"),
+  async (req, res) => {
+    try {
+      const schedule = await FeeSchedule.findById(req.params.id)
+        .populate("createdBy updatedBy", "name surname itsNumber")
+        .lean();
+      if (!schedule) return res.status(404).json({ msg: "Fee schedule not found" });
+
+      const issuedDues = await Payment.countDocuments({ feeSchedule: schedule._id });
+      res.json({ ...schedule, issuedDues });
+    } catch (err) {
+      console.error("Get fee schedule error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+router.post(
+  "/fee-schedules",
+  auth,
+  requirePermission("finance:fee-schedules"),
+  async (req, res) => {
+    try {
+      const data = {};
+      for (const field of FEE_SCHEDULE_FIELDS) {
+        if (req.body[field] !== undefined) data[field] = req.body[field];
+      }
+
+      const schedule = new FeeSchedule({ ...data, createdBy: req.user.id, updatedBy: req.user.id });
+      const problem = await checkFeeSchedule(schedule);
+      if (problem) {
+        const { status, ...body } = problem;
+        return res.status(status).json(body);
+      }
+
+      await schedule.save();
+      res.status(201).json({ msg: "Fee schedule created", schedule });
+    } catch (err) {
+      console.error("Create fee schedule error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+router.put(
+  "/fee-schedules/:id",
+  auth,
+  requirePermission("finance:fee-schedules"),
+  async (req, res) => {
+    try {
+      const schedule = await FeeSchedule.findById(req.params.id);
+      if (!schedule) return res.status(404).json({ msg: "Fee schedule not found" });
+
+      for (const field of FEE_SCHEDULE_FIELDS) {
+        if (req.body[field] !== undefined) schedule.set(field, req.body[field]);
+      }
+      schedule.updatedBy = req.user.id;
+
+      const problem = await checkFeeSchedule(schedule);
+      if (problem) {
+        const { status, ...body } = problem;
+        return res.status(status).json(body);
+      }
+
+      await schedule.save();
+      res.json({ msg: "Fee schedule updated. Dues already issued keep their amount.", schedule });
+    } catch (err) {
+      console.error("Update fee schedule error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Delete a fee schedule; one that dues were issued from is only deactivated
+router.delete(
+  "/fee-schedules/:id",
+  auth,
+  requirePermission("finance:fee-schedules"),
+  async (req, res) => {
+    try {
+      const schedule = await FeeSchedule.findById(req.params.id);
+      if (!schedule) return res.status(404).json({ msg: "Fee schedule not found" });
+
+      const issuedDues = await Payment.countDocuments({ feeSchedule: schedule._id });
+      if (issuedDues > 0) {
+        schedule.active = false;
+        schedule.updatedBy = req.user.id;
+        await schedule.save();
+        return res.json({
+          msg: `Fee schedule deactivated (${issuedDues} due(s) were issued from it)`,
+          deactivated: true,
+        });
+      }
+
+      await schedule.deleteOne();
+      res.json({ msg: "Fee schedule deleted", deactivated: false });
+    } catch (err) {
+      console.error("Delete fee schedule error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
 // 📌 Bulk assign dues to selected members
 router.post(
   "/bulk-dues",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requirePermission("finance:assign-dues"),
   async (req, res) => {
     try {
-      const { memberIds, amount, remarks } = req.body;
+      const { memberIds, amount, remarks, feeType = "Annual Subscription" } = req.body;
 
       if (!memberIds || !Array.isArray(memberIds) || memberIds.length === 0) {
         return res.status(400).json({ msg: "No members selected" });
       }
 
-      if (!amount || amount <= 0) {
+      if (!PAYMENT_TYPES.includes(feeType)) {
+        return res.status(400).json({ msg: "Invalid fee type" });
+      }
+
+      // an explicit amount overrides the fee schedule
+      const hasAmount = amount !== undefined && amount !== null && amount !== "";
+      if (hasAmount && !(Number(amount) > 0)) {
         return res.status(400).json({ msg: "Invalid amount" });
       }
 
+      const schedule = await findApplicableSchedule(feeType);
+      if (!hasAmount && !schedule) {
+        return res.status(400).json({ msg: `No active fee schedule for ${feeType}; enter an amount` });
+      }
+
       const results = {
         success: [],
         failed: []
@@ -416,19 +991,30 @@ router.post(
             continue;
           }
 
-          const subscriptionYear = calculateSubscriptionYear(member.createdAt);
-          const dueDate = new Date();
-          dueDate.setDate(dueDate.getDate() + 30); // 30 days from now
+          const dueAmount = hasAmount ? Number(amount) : amountForMember(schedule, member);
+          if (!(dueAmount > 0)) {
+            results.failed.push({ memberId, reason: "No fee for this member under the fee schedule" });
+            continue;
+          }
+
+          let dueDate;
+          if (schedule) {
+            dueDate = dueDateFor(schedule, member);
+          } else {
+            dueDate = new Date();
+            dueDate.setDate(dueDate.getDate() + 30); // 30 days from now
+          }
 
           const payment = new Payment({
             memberId: member._id,
             memberName: `${member.name} ${member.surname}`,
             itsNumber: member.itsNumber,
             zone: member.zone,
-            amount: Number(amount),
-            paymentType: "Annual Subscription",
+            amount: dueAmount,
+            paymentType: feeType,
+            feeSchedule: schedule?._id,
             status: "Pending",
-            subscriptionYear,
+            subscriptionYear: feeType === "Annual Subscription" ? calculateSubscriptionYear(member.createdAt) : undefined,
             dueDate,
             remarks: remarks || "",
             recordedBy: req.user.id,
@@ -467,7 +1053,7 @@ router.post(
 router.post(
   "/bulk-mark-paid",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requirePermission("finance:mark-paid"),
   async (req, res) => {
     try {
       const { paymentIds, paymentMethod, transactionId, remarks } = req.body;
@@ -490,19 +1076,20 @@ router.post(
             continue;
           }
           
-          // Update payment
-          payment.status = "Paid";
-          payment.paidDate = new Date();
-          payment.paymentMethod = paymentMethod || "Cash";
-          payment.transactionId = transactionId || "";
-          
-          if (remarks) {
-            payment.remarks = remarks;
-          }
-          
-          if (!payment.receiptNumber) {
-            payment.receiptNumber = `RCP${Date.now()}${Math.floor(Math.random() * 1000)}`;
+          // Settle whatever is still outstanding with one ledger entry
+          const outstanding = outstandingOf(payment);
+          if (outstanding <= 0) {
+            results.failed.push({ paymentId, reason: "Already paid" });
+            continue;
           }
+
+          payment.addTransaction({
+            amount: outstanding,
+            paymentMethod: paymentMethod || "Cash",
+            transactionId: transactionId || "",
+            remarks: remarks || "",
+            recordedBy: req.user.id,
+          });
           
           await payment.save();
           
@@ -515,7 +1102,7 @@ router.post(
         } catch (err) {
           results.failed.push({ 
             paymentId, 
-            reason: err.message 
+            reason: isVersionConflict(err) ? PAYMENT_CONFLICT.msg : err.message 
           });
         }
       }
@@ -536,43 +1123,174 @@ router.post(
 router.put(
   "/payments/:id",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requirePermission("finance:edit-payment"),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const updates = req.body;
+      // Only these are edited directly; status, amounts paid, receipts, proofs
+      // and reminders follow the ledger and its history
+      const { remarks, dueDate, paymentType, amount, status, paidDate, paymentMethod, transactionId } = req.body;
+
+      const payment = await Payment.findById(id);
+      if (!payment) return res.status(404).json({ msg: "Payment not found" });
 
-      if (updates.status === "Paid") {
-        if (!updates.paidDate) {
-          updates.paidDate = new Date();
+      if (remarks !== undefined) payment.remarks = String(remarks);
+
+      if (dueDate !== undefined) {
+        const parsed = parseDate(dueDate);
+        if (!parsed) return res.status(400).json({ msg: "Invalid due date" });
+        payment.dueDate = parsed;
+      }
+
+      if (paymentType !== undefined) {
+        if (!PAYMENT_TYPES.includes(paymentType)) {
+          return res.status(400).json({ msg: "Invalid payment type" });
         }
-        if (!updates.receiptNumber) {
-          updates.receiptNumber = `RCP${Date.now()}${Math.floor(Math.random() * 1000)}`;
+        payment.paymentType = paymentType;
+      }
+
+      if (amount !== undefined) {
+        const value = Number(amount);
+        if (!(value > 0)) return res.status(400).json({ msg: "Invalid amount" });
+        const paid = paidAmountOf(payment);
+        if (value < paid) {
+          return res.status(400).json({ msg: `Amount cannot be less than the amount already paid (${paid})`, paid });
         }
+        payment.amount = value;
       }
 
-      const payment = await Payment.findByIdAndUpdate(id, updates, {
-        new: true,
-      }).populate("memberId", "name surname email mobile");
+      // "mark as Paid" settles the remaining balance
+      if (status === "Paid" && outstandingOf(payment) > 0) {
+        if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+          return res.status(400).json({ msg: "Invalid payment method" });
+        }
+        const settledOn = paidDate ? parseDate(paidDate) : new Date();
+        if (!settledOn) return res.status(400).json({ msg: "Invalid paid date" });
 
-      if (!payment) return res.status(404).json({ msg: "Payment not found" });
+        payment.addTransaction({
+          amount: outstandingOf(payment),
+          paidDate: settledOn,
+          paymentMethod: paymentMethod || payment.paymentMethod,
+          transactionId: transactionId || "",
+          recordedBy: req.user.id,
+        });
+      }
+
+      await payment.save();
+      await payment.populate("memberId", "name surname email mobile");
 
       res.json({ msg: "Payment updated successfully", payment });
     } catch (err) {
+      if (isVersionConflict(err)) return res.status(409).json(PAYMENT_CONFLICT);
       console.error("Update payment error:", err);
       res.status(500).json({ msg: "Server error", error: err.message });
     }
   }
 );
 
+// 📌 Record an installment against a due (status moves Pending → Partial → Paid)
+router.post(
+  "/payments/:id/transactions",
+  auth,
+  requirePermission("finance:mark-paid"),
+  async (req, res) => {
+    try {
+      const { amount, paymentMethod, paidDate, transactionId, remarks } = req.body;
+
+      const payment = await Payment.findById(req.params.id);
+      if (!payment) return res.status(404).json({ msg: "Payment not found" });
+
+      const value = Number(amount);
+      if (!value || value <= 0) {
+        return res.status(400).json({ msg: "Invalid amount" });
+      }
+
+      if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+        return res.status(400).json({ msg: "Invalid payment method" });
+      }
+
+      const receivedOn = paidDate ? parseDate(paidDate) : new Date();
+      if (!receivedOn) return res.status(400).json({ msg: "Invalid paid date" });
+
+      const outstanding = outstandingOf(payment);
+      if (value > outstanding) {
+        return res.status(400).json({
+          msg: `Amount exceeds the outstanding balance (${outstanding})`,
+          outstanding,
+        });
+      }
+
+      const transaction = payment.addTransaction({
+        amount: value,
+        paymentMethod: paymentMethod || "Cash",
+        paidDate: receivedOn,
+        transactionId: transactionId || "",
+        remarks: remarks || "",
+        recordedBy: req.user.id,
+      });
+
+      await payment.save();
+      await payment.populate("transactions.recordedBy", "name surname");
+
+      res.status(201).json({
+        msg: payment.status === "Paid" ? "Payment recorded — due fully paid" : "Installment recorded",
+        payment,
+        transaction,
+      });
+    } catch (err) {
+      if (isVersionConflict(err)) return res.status(409).json(PAYMENT_CONFLICT);
+      console.error("Record transaction error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
+// 📌 Remove a ledger entry recorded by mistake (balance and status are recomputed)
+router.delete(
+  "/payments/:id/transactions/:transactionId",
+  auth,
+  requirePermission("finance:edit-payment"),
+  async (req, res) => {
+    try {
+      const payment = await Payment.findById(req.params.id);
+      if (!payment) return res.status(404).json({ msg: "Payment not found" });
+
+      const transaction = payment.transactions.id(req.params.transactionId);
+      if (!transaction) return res.status(404).json({ msg: "Transaction not found" });
+
+      payment.transactions.pull(transaction._id);
+      await payment.save();
+
+      res.json({ msg: "Transaction removed", payment });
+    } catch (err) {
+      if (isVersionConflict(err)) return res.status(409).json(PAYMENT_CONFLICT);
+      console.error("Remove transaction error:", err);
+      res.status(500).json({ msg: "Server error", error: err.message });
+    }
+  }
+);
+
 // 📌 Auto-generate annual subscription dues
 router.post(
   "/generate-annual-dues",
   auth,
-  allowRoles("SuperAdmin", "Admin", "Finance"),
+  requirePermission("finance:generate-dues"),
   async (req, res) => {
     try {
-      const { amount = 3000 } = req.body;
+      const { amount } = req.body;
+
+      // an explicit amount overrides the Annual Subscription fee schedule
+      const hasAmount = amount !== undefined && amount !== null && amount !== "";
+      if (hasAmount && !(Number(amount) > 0)) {
+        return res.status(400).json({ msg: "Invalid amount" });
+      }
+
+      const schedule = await findApplicableSchedule("Annual Subscription");
+      if (!hasAmount && !schedule) {
+        return res.status(400).json({
+          msg: "No active Annual Subscription fee schedule; create one or enter an amount"
+        });
+      }
       
       const members = await User.find({ role: "Member", status: "active" });
       
@@ -609,17 +1327,29 @@ router.post(
             continue;
           }
           
-          const dueDate = new Date(registrationDate);
-          dueDate.setFullYear(currentDate.getFullYear());
-          dueDate.setDate(dueDate.getDate() + 30);
+          const dueAmount = hasAmount ? Number(amount) : amountForMember(schedule, member);
+          if (!(dueAmount > 0)) {
+            results.skipped++;
+            continue;
+          }
+
+          let dueDate;
+          if (schedule) {
+            dueDate = dueDateFor(schedule, member, currentDate);
+          } else {
+            dueDate = new Date(registrationDate);
+            dueDate.setFullYear(currentDate.getFullYear());
+            dueDate.setDate(dueDate.getDate() + 30);
+          }
           
           const payment = new Payment({
             memberId: member._id,
             memberName: `${member.name} ${member.surname}`,
             itsNumber: member.itsNumber,
             zone: member.zone,
-            amount,
+            amount: dueAmount,
             paymentType: "Annual Subscription",
+            feeSchedule: schedule?._id,
             status: currentDate > dueDate ? "Overdue" : "Pending",
             subscriptionYear,
             dueDate,
@@ -643,6 +1373,7 @@ router.post(
       
       res.json({
         message: "Annual dues generation completed",
+        feeSchedule: schedule && !hasAmount ? { _id: schedule._id, name: schedule.name } : null,
         results
       });
       
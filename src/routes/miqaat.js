@@ -1,6 +1,6 @@
 // src/routes/miqaat.js
 import express from "express";
-import { auth, allowRoles } from "../middleware/auth.js";
+import { auth, requirePermission } from "../middleware/auth.js";
 import {
   createMiqaat,
   getAllMiqaats,
@@ -9,12 +9,22 @@ import {
   deleteMiqaat,
 } from "../controllers/miqaatController.js";
 import { registerMiqaatAttendance } from "../controllers/miqaatController.js";
+import {
+  openAttendanceSession,
+  getAttendanceSessions,
+  getSessionQr,
+  closeAttendanceSession,
+  checkInWithQr,
+  checkOutAttendance,
+  closeOutAttendance,
+  overrideAttendance,
+} from "../controllers/attendanceController.js";
 
 
 const router = express.Router();
 
-// Admin + SuperAdmin only (CREATE)
-router.post("/", auth, allowRoles("SuperAdmin", "Admin"), createMiqaat);
+// miqaat:write (CREATE)
+router.post("/", auth, requirePermission("miqaat:write"), createMiqaat);
 
 // 🔓 Allow ALL authenticated users to view all miqaats
 router.get("/", auth, getAllMiqaats);
@@ -22,14 +32,34 @@ router.get("/", auth, getAllMiqaats);
 // 🔓 Allow ALL authenticated users to view a single miqaat
 router.get("/:id", auth, getMiqaatById);
 
-// Admin + SuperAdmin only (UPDATE)
-router.put("/:id", auth, allowRoles("SuperAdmin", "Admin"), updateMiqaat);
+// miqaat:write (UPDATE)
+router.put("/:id", auth, requirePermission("miqaat:write"), updateMiqaat);
+
+// miqaat:write (DELETE)
+router.delete("/:id", auth, requirePermission("miqaat:write"), deleteMiqaat);
+
+// attendance:manage (manual attendance fallback)
+router.post("/:id/attendance", auth, requirePermission("attendance:manage"), registerMiqaatAttendance);
+
+// =================== QR CHECK-IN =================== //
+// ⭐ Members check in by scanning the session QR
+router.post("/check-in", auth, checkInWithQr);
+
+// attendance:manage (open / list / display / close sessions)
+router.post("/:id/sessions", auth, requirePermission("attendance:manage"), openAttendanceSession);
+router.get("/:id/sessions", auth, requirePermission("attendance:manage"), getAttendanceSessions);
+router.get("/:id/sessions/:sessionId/qr", auth, requirePermission("attendance:manage"), getSessionQr);
+router.patch("/:id/sessions/:sessionId/close", auth, requirePermission("attendance:manage"), closeAttendanceSession);
+
+// =================== CHECK-OUT & RECONCILIATION =================== //
+// 🔓 Members check themselves out (attendance:manage may check out others)
+router.post("/:id/check-out", auth, checkOutAttendance);
 
-// Admin + SuperAdmin only (DELETE)
-router.delete("/:id", auth, allowRoles("SuperAdmin", "Admin"), deleteMiqaat);
+// attendance:manage (close-out marks unregistered members Absent)
+router.post("/:id/close-out", auth, requirePermission("attendance:manage"), closeOutAttendance);
 
-// ⭐ Members can register for Khidmat
-router.post("/:id/attendance", auth, registerMiqaatAttendance);
+// attendance:manage (override status / add note)
+router.put("/:id/attendance/:memberId", auth, requirePermission("attendance:manage"), overrideAttendance);
 
 
 export default router;
@@ -0,0 +1,158 @@
+// src/templates/duesReminderEmail.js
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" });
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString("en-IN")}`;
+
+/**
+ * Wording for a reminder, firmer the later it is sent.
+ *
+ * @param {number} offsetDays - days relative to the due date (negative = before)
+ * @param {Date} dueDate
+ * @returns {{ subject: string, headline: string, line: string }}
+ */
+export function duesReminderWording(offsetDays, dueDate) {
+  const due = formatDate(dueDate);
+  if (offsetDays < 0)
+    return {
+      subject: "Reminder: BGI dues due soon",
+      headline: "Friendly reminder",
+      line: `Your dues are due on ${due}.`,
+    };
+  if (offsetDays === 0)
+    return {
+      subject: "BGI dues due today",
+      headline: "Payment due today",
+      line: `Your dues are due today (${due}).`,
+    };
+  const daysLate = Math.max(offsetDays, Math.floor((Date.now() - new Date(dueDate).getTime()) / (24 * 60 * 60 * 1000)));
+  return {
+    subject: "Overdue: BGI dues not yet paid",
+    headline: "Payment overdue",
+    line: `Your dues were due on ${due} and are now ${daysLate} day(s) overdue. Please clear them at the earliest.`,
+  };
+}
+
+/**
+ * Generates a styled HTML + plaintext dues reminder email.
+ *
+ * @param {Object} params
+ * @param {string} params.name - Full name of member
+ * @param {string} params.paymentType - e.g. "Annual Subscription"
+ * @param {string} [params.subscriptionYear]
+ * @param {number} params.amount - total due
+ * @param {number} params.outstanding - still to pay
+ * @param {Date} params.dueDate
+ * @param {number} params.offsetDays - days relative to the due date
+ * @param {string} params.portalUrl - Portal URL
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+export function duesReminderEmailTemplate({ name, paymentType, subscriptionYear, amount, outstanding, dueDate, offsetDays, portalUrl }) {
+  const displayName = name || "Member";
+  const { subject, headline, line } = duesReminderWording(offsetDays, dueDate);
+  const dueLabel = [paymentType, subscriptionYear].filter(Boolean).join(" ");
+  const link = portalUrl || "http://localhost:3000";
+  const accent = offsetDays > 0 ? "#c62828" : "#1976d2";
+
+  const html = `
+  <!doctype html>
+  <html>
+    <head>
+      <meta charset="utf-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+      <title>${subject}</title>
+    </head>
+    <body style="margin:0; padding:0; font-family:Arial,Helvetica,sans-serif; background:#f3f6fb; color:#333;">
+      <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background:#f3f6fb; padding:20px 0;">
+        <tr>
+          <td align="center">
+            <table width="600" cellpadding="0" cellspacing="0" role="presentation" style="background:#ffffff; border-radius:8px; overflow:hidden;">
+
+              <!-- Header -->
+              <tr>
+                <td style="padding:20px; background:${accent}; color:#ffffff; text-align:left;">
+                  <h1 style="margin:0; font-size:20px; font-weight:bold;">Burhani Guards International</h1>
+                  <p style="margin:4px 0 0; font-size:13px;">${headline}</p>
+                </td>
+              </tr>
+
+              <!-- Body -->
+              <tr>
+                <td style="padding:24px;">
+                  <p style="font-size:14px; margin:0 0 12px;">Dear <strong>${displayName}</strong>,</p>
+
+                  <p style="font-size:14px; margin:0 0 16px;">${line}</p>
+
+                  <table cellpadding="6" cellspacing="0" style="border-collapse:collapse; margin:12px 0; font-size:14px;">
+                    <tr>
+                      <td style="font-weight:600; width:140px;">Due</td>
+                      <td>${dueLabel}</td>
+                    </tr>
+                    <tr>
+                      <td style="font-weight:600;">Amount</td>
+                      <td>${formatAmount(amount)}</td>
+                    </tr>
+                    <tr>
+                      <td style="font-weight:600;">Outstanding</td>
+                      <td style="font-weight:600; color:${accent};">${formatAmount(outstanding)}</td>
+                    </tr>
+                    <tr>
+                      <td style="font-weight:600;">Due date</td>
+                      <td>${formatDate(dueDate)}</td>
+                    </tr>
+                  </table>
+
+                  <p style="font-size:14px; margin:16px 0;">
+                    View your payments here:
+                    <a href="${link}" target="_blank" style="color:#1976d2; text-decoration:none;">${link}</a>
+                  </p>
+
+                  <p style="font-size:14px; margin:16px 0;">
+                    If you have already paid, please ignore this reminder.
+                  </p>
+
+                  <hr style="border:none; border-top:1px solid #eee; margin:18px 0;" />
+
+                  <p style="font-size:12px; color:#777; margin:0;">
+                    Note: This is an autogenerated mail. Please do not reply.
+                    You can turn off dues reminder emails from your profile.
+                  </p>
+                </td>
+              </tr>
+
+              <!-- Footer -->
+              <tr>
+                <td style="background:#fafafa; padding:12px 24px; font-size:12px; color:#888; text-align:center;">
+                  © ${new Date().getFullYear()} Burhani Guards International. All rights reserved.
+                </td>
+              </tr>
+
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+  </html>
+  `;
+
+  // Plain-text fallback
+  const text = `Dear ${displayName},
+
+${line}
+
+Due: ${dueLabel}
+Amount: ${formatAmount(amount)}
+Outstanding: ${formatAmount(outstanding)}
+Due date: ${formatDate(dueDate)}
+
+View your payments: ${link}
+
+If you have already paid, please ignore this reminder.
+
+Note: This is an autogenerated mail. Please do not reply.
+You can turn off dues reminder emails from your profile.
+`;
+
+  return { subject, html, text };
+}
@@ -0,0 +1,97 @@
+// src/templates/passwordResetEmail.js
+
+/**
+ * Generates a styled HTML + plaintext password reset email
+ * carrying a one-time code.
+ *
+ * @param {Object} params
+ * @param {string} params.name - Full name of member
+ * @param {string} params.code - One-time reset code
+ * @param {number} params.expiresInMinutes - Minutes until the code expires
+ * @returns {{ html: string, text: string }}
+ */
+export function passwordResetEmailTemplate({ name, code, expiresInMinutes }) {
+  const displayName = name || "Member";
+  const minutes = expiresInMinutes || 10;
+
+  // HTML body (works with most mail clients, minimal inline CSS)
+  const html = `
+  <!doctype html>
+  <html>
+    <head>
+      <meta charset="utf-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+      <title>Reset your BGI password</title>
+    </head>
+    <body style="margin:0; padding:0; font-family:Arial,Helvetica,sans-serif; background:#f3f6fb; color:#333;">
+      <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background:#f3f6fb; padding:20px 0;">
+        <tr>
+          <td align="center">
+            <table width="600" cellpadding="0" cellspacing="0" role="presentation" style="background:#ffffff; border-radius:8px; overflow:hidden;">
+
+              <!-- Header -->
+              <tr>
+                <td style="padding:20px; background:linear-gradient(90deg,#1976d2,#42a5f5); color:#ffffff; text-align:left;">
+                  <h1 style="margin:0; font-size:20px; font-weight:bold;">Burhani Guards International</h1>
+                  <p style="margin:4px 0 0; font-size:13px;">Password reset request</p>
+                </td>
+              </tr>
+
+              <!-- Body -->
+              <tr>
+                <td style="padding:24px;">
+                  <p style="font-size:14px; margin:0 0 12px;">Dear <strong>${displayName}</strong>,</p>
+
+                  <p style="font-size:14px; margin:0 0 16px;">
+                    Use the code below to reset your BGI portal password.
+                  </p>
+
+                  <p style="font-size:28px; letter-spacing:6px; font-family:monospace; background:#f6f8fb; padding:12px 16px; border-radius:4px; text-align:center; margin:16px 0;">
+                    ${code}
+                  </p>
+
+                  <p style="font-size:14px; margin:16px 0;">
+                    This code expires in ${minutes} minutes and can be used only once.
+                  </p>
+
+                  <p style="font-size:14px; margin:16px 0;">
+                    If you did not request a password reset, you can ignore this email.
+                  </p>
+
+                  <hr style="border:none; border-top:1px solid #eee; margin:18px 0;" />
+
+                  <p style="font-size:12px; color:#777; margin:0;">
+                    Note: This is an autogenerated mail. Please do not reply.
+                  </p>
+                </td>
+              </tr>
+
+              <!-- Footer -->
+              <tr>
+                <td style="background:#fafafa; padding:12px 24px; font-size:12px; color:#888; text-align:center;">
+                  © ${new Date().getFullYear()} Burhani Guards International. All rights reserved.
+                </td>
+              </tr>
+
+            </table>
+          </td>
+        </tr>
+      </table>
+    </body>
+  </html>
+  `;
+
+  // Plain-text fallback
+  const text = `Dear ${displayName},
+
+Use this code to reset your BGI portal password: ${code}
+
+This code expires in ${minutes} minutes and can be used only once.
+
+If you did not request a password reset, you can ignore this email.
+
+Note: This is an autogenerated mail. Please do not reply.
+`;
+
+  return { html, text };
+}
@@ -0,0 +1,55 @@
+// src/utils/attendanceQr.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+const TOKEN_TYPE = "attendance-qr";
+
+// Signing key = app secret + per-session secret, so a token is only valid
+// for the session that issued it and a forged token can't be produced
+// without both.
+const signingKey = (sessionSecret) => `${process.env.JWT_SECRET}:${sessionSecret}`;
+
+export const generateSessionSecret = () => crypto.randomBytes(32).toString("hex");
+
+/**
+ * issueQrToken - signs a short-lived token for the current QR rotation.
+ * The session must be loaded with `+secret`.
+ */
+export const issueQrToken = (session) => {
+  const token = jwt.sign(
+    {
+      typ: TOKEN_TYPE,
+      sid: String(session._id),
+      mid: String(session.miqaat),
+      nonce: crypto.randomBytes(6).toString("hex"),
+    },
+    signingKey(session.secret),
+    { expiresIn: session.rotationSeconds || 30 }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + (session.rotationSeconds || 30) * 1000),
+  };
+};
+
+/**
+ * readQrToken - returns the unverified payload so the caller can look up
+ * the session (and its secret) the token claims to belong to.
+ */
+export const readQrToken = (token) => {
+  const decoded = jwt.decode(token);
+  if (!decoded || decoded.typ !== TOKEN_TYPE || !decoded.sid) return null;
+  return decoded;
+};
+
+/**
+ * verifyQrToken - throws if the signature is wrong or the rotation expired.
+ */
+export const verifyQrToken = (token, session) => {
+  const payload = jwt.verify(token, signingKey(session.secret));
+  if (payload.typ !== TOKEN_TYPE || payload.sid !== String(session._id)) {
+    throw new Error("Token does not belong to this session");
+  }
+  return payload;
+};
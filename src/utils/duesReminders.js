@@ -0,0 +1,187 @@
+// src/utils/duesReminders.js
+/**
+ * duesReminders.js
+ * ------------------------------------------------------------
+ * Scheduled dues housekeeping:
+ *   1. unpaid "Pending" dues past their dueDate become "Overdue"
+ *   2. escalating reminders at configurable offsets from the dueDate
+ *      (email through sendMail + an in-app notification). Each offset is
+ *      claimed in Payment.reminders before sending, so overlapping runs or
+ *      several app instances never send the same reminder twice
+ *
+ * Env:
+ *   DUES_REMINDER_OFFSETS         days relative to dueDate (default "-7,0,15")
+ *   DUES_REMINDER_INTERVAL_HOURS  how often the job runs (default 6)
+ *   DUES_REMINDERS_ENABLED        "false" turns the scheduler off
+ *
+ * Members who set duesReminderEmails = false still get the in-app reminder.
+ */
+
+import Payment from "../models/Payment.js";
+import User from "../models/user.js";
+import Notification from "../models/Notification.js";
+import { sendMail } from "./mailer.js";
+import { outstandingOf } from "./paymentLedger.js";
+import { duesReminderEmailTemplate, duesReminderWording } from "../templates/duesReminderEmail.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const reminderOffsets = () => {
+  const offsets = String(process.env.DUES_REMINDER_OFFSETS || "-7,0,15")
+    .split(",")
+    .map((v) => Number(v.trim()))
+    .filter((v) => Number.isInteger(v));
+  return [...new Set(offsets)].sort((a, b) => a - b);
+};
+
+// latest offset that has been reached and not yet sent (earlier missed ones are skipped)
+export const dueReminderOffset = (payment, offsets, now = new Date()) => {
+  const reached = offsets.filter((o) => new Date(payment.dueDate).getTime() + o * DAY_MS <= now.getTime());
+  if (reached.length === 0) return null;
+  const latest = reached[reached.length - 1];
+  const sent = (payment.reminders || []).map((r) => r.offsetDays);
+  return sent.some((o) => o >= latest) ? null : latest;
+};
+
+export const markOverdueDues = async (now = new Date()) => {
+  // Pending means nothing paid yet, so the ledger agrees with a plain status flip
+  const result = await Payment.updateMany({ status: "Pending", dueDate: { $lt: now } }, { $set: { status: "Overdue" } });
+  return result.modifiedCount || 0;
+};
+
+// Claims the offset on the payment before anything is sent: only one job run
+// (in any app instance) gets modifiedCount 1, so a reminder goes out at most once.
+const claimReminder = async (payment, offsetDays, outstanding) => {
+  const result = await Payment.updateOne(
+    { _id: payment._id, reminders: { $not: { $elemMatch: { offsetDays: { $gte: offsetDays } } } } },
+    { $push: { reminders: { offsetDays, sentAt: new Date(), outstanding, email: "sending", notified: false } } }
+  );
+  return result.modifiedCount === 1;
+};
+
+const sendReminder = async (payment, member, offsetDays) => {
+  const outstanding = outstandingOf(payment);
+  const name = [member.name, member.surname].filter(Boolean).join(" ");
+
+  if (!(await claimReminder(payment, offsetDays, outstanding))) return null;
+
+  let email = "sent";
+  let emailError;
+  if (member.duesReminderEmails === false) email = "opted-out";
+  else if (!member.email) email = "no-email";
+  else {
+    const { subject, html, text } = duesReminderEmailTemplate({
+      name,
+      paymentType: payment.paymentType,
+      subscriptionYear: payment.subscriptionYear,
+      amount: payment.amount,
+      outstanding,
+      dueDate: payment.dueDate,
+      offsetDays,
+      portalUrl: process.env.FRONTEND_URL || "http://localhost:5173",
+    });
+    try {
+      const response = await sendMail({ to: member.email, subject, html, text });
+      if (!response) email = "not-configured";
+    } catch (err) {
+      email = "failed";
+      emailError = err.message || String(err);
+    }
+  }
+
+  const { line } = duesReminderWording(offsetDays, payment.dueDate);
+  let notified = false;
+  try {
+    await Notification.create({
+      message: `${line} Outstanding: ₹${outstanding} (${payment.paymentType}${payment.subscriptionYear ? ` ${payment.subscriptionYear}` : ""}).`,
+      type: "payment",
+      paymentId: payment._id,
+      createdBy: payment.recordedBy || null,
+      forUsers: [member._id],
+      readBy: [],
+    });
+    notified = true;
+  } catch (err) {
+    console.error(`⚠️ Dues reminder notification failed for payment ${payment._id}:`, err.message);
+  }
+
+  // positional update instead of save(): the ledger hook must not re-derive anything here
+  await Payment.updateOne(
+    { _id: payment._id, "reminders.offsetDays": offsetDays },
+    { $set: { "reminders.$.email": email, "reminders.$.emailError": emailError, "reminders.$.notified": notified } }
+  );
+  return { email, notified };
+};
+
+/**
+ * sendDuesReminders - one pass over every unpaid due.
+ * @returns {Promise<{ checked: number, sent: number, emailed: number, failed: number }>}
+ */
+export const sendDuesReminders = async (now = new Date()) => {
+  const offsets = reminderOffsets();
+  const stats = { checked: 0, sent: 0, emailed: 0, failed: 0 };
+  if (offsets.length === 0) return stats;
+
+  const horizon = new Date(now.getTime() - offsets[0] * DAY_MS); // earliest offset may be before dueDate
+  const payments = await Payment.find({
+    status: { $in: ["Pending", "Overdue", "Partial"] },
+    dueDate: { $lte: horizon },
+  }).select("memberId amount status dueDate paymentType subscriptionYear transactions reminders recordedBy");
+
+  const members = await User.find({ _id: { $in: payments.map((p) => p.memberId) }, status: "active" })
+    .select("name surname email duesReminderEmails")
+    .lean();
+  const memberById = new Map(members.map((m) => [String(m._id), m]));
+
+  for (const payment of payments) {
+    stats.checked++;
+    const member = memberById.get(String(payment.memberId));
+    const offsetDays = dueReminderOffset(payment, offsets, now);
+    if (!member || offsetDays === null || outstandingOf(payment) <= 0) continue;
+
+    try {
+      const outcome = await sendReminder(payment, member, offsetDays);
+      if (!outcome) continue; // another run claimed it
+      const { email } = outcome;
+      stats.sent++;
+      if (email === "sent") stats.emailed++;
+      if (email === "failed") stats.failed++;
+    } catch (err) {
+      stats.failed++;
+      console.error(`❌ Dues reminder failed for payment ${payment._id}:`, err.message || err);
+    }
+  }
+  return stats;
+};
+
+let running = false;
+
+export const runDuesReminderJob = async () => {
+  if (running) return null;
+  running = true;
+  try {
+    const overdue = await markOverdueDues();
+    const reminders = await sendDuesReminders();
+    console.log(
+      `⏰ Dues job: ${overdue} marked overdue, ${reminders.sent} reminder(s) sent (${reminders.emailed} emailed, ${reminders.failed} failed)`
+    );
+    return { overdue, reminders };
+  } finally {
+    running = false;
+  }
+};
+
+export const startDuesReminderJob = () => {
+  if (process.env.DUES_REMINDERS_ENABLED === "false") {
+    console.log("⏰ Dues reminder job disabled (DUES_REMINDERS_ENABLED=false)");
+    return null;
+  }
+
+  const hours = Number(process.env.DUES_REMINDER_INTERVAL_HOURS) || 6;
+  const tick = () => runDuesReminderJob().catch((err) => console.error("❌ Dues job error:", err.message || err));
+
+  tick();
+  const timer = setInterval(tick, hours * 60 * 60 * 1000);
+  console.log(`⏰ Dues reminder job every ${hours}h, offsets: ${reminderOffsets().join(", ")} day(s)`);
+  return timer;
+};
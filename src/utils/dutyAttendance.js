@@ -0,0 +1,111 @@
+// src/utils/dutyAttendance.js
+/**
+ * dutyAttendance.js
+ * ------------------------------------------------------------
+ * Cross-references the people on a duty chart with the attendance of the
+ * Miqaat it is linked to (DutyChart.miqaat):
+ *   - assigned    everyone with a duty, with their attendance status
+ *   - absent      assigned but no Present/Late record
+ *   - late        checked in after the chart's reportingTime (or marked Late)
+ *   - unassigned  attended the Miqaat without a duty on the chart
+ * Typed names ({ externalName }) cannot be matched and are left out.
+ */
+
+import mongoose from "mongoose";
+import Miqaat from "../models/Miqaat.js";
+import { dutiesByUser } from "./dutyChartNotifications.js";
+
+const ATTENDED = ["Present", "Late"];
+
+// "08:00 AM" / "19:30" on the duty date → Date (server time), or null
+export const reportingDateTime = (dutyDate, reportingTime) => {
+  const match = String(reportingTime || "").trim().match(/^(\d{1,2})[:.](\d{2})\s*([ap]\.?m\.?)?$/i);
+  if (!match || !dutyDate) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const meridiem = match[3]?.[0].toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "p" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+
+  const at = new Date(dutyDate);
+  at.setHours(hours, minutes, 0, 0);
+  return at;
+};
+
+/**
+ * resolveMiqaatRef - request value → Miqaat id for DutyChart.miqaat.
+ * "" / null clear the link; anything else must be an existing Miqaat.
+ *
+ * @returns {Promise<{ miqaat: ObjectId|null } | { error: string }>}
+ */
+export const resolveMiqaatRef = async (value) => {
+  if (value === null || value === "") return { miqaat: null };
+  const id = value?._id || value;
+  if (!mongoose.Types.ObjectId.isValid(id) || !(await Miqaat.exists({ _id: id })))
+    return { error: "Miqaat not found" };
+  return { miqaat: new mongoose.Types.ObjectId(String(id)) };
+};
+
+/**
+ * buildDutyAttendanceReport - pure; works on plain chart + Miqaat objects.
+ *
+ * @param {Object} chart  - DutyChart (lean)
+ * @param {Object} miqaat - Miqaat (lean) with attendance
+ * @param {Object} [options]
+ * @param {Set<string>} [options.onlyUsers] - limit everyone listed to these ids (zone scope)
+ */
+export const buildDutyAttendanceReport = (chart, miqaat, { onlyUsers = null } = {}) => {
+  const reportingAt = reportingDateTime(chart.dutyDate, chart.reportingTime);
+  const include = (id) => !onlyUsers || onlyUsers.has(id);
+
+  const records = new Map((miqaat.attendance || []).map((r) => [String(r.member), r]));
+
+  const attendanceOf = (id) => {
+    const record = records.get(id);
+    const status = ATTENDED.includes(record?.status) ? record.status : "Absent";
+    const minutesLate =
+      record?.checkIn && reportingAt ? Math.max(0, Math.round((new Date(record.checkIn) - reportingAt) / 60000)) : null;
+    return {
+      status,
+      checkIn: record?.checkIn || null,
+      minutesLate: status === "Absent" ? null : minutesLate,
+      late: status === "Late" || (status !== "Absent" && minutesLate > 0),
+    };
+  };
+
+  const assigned = [];
+  for (const [id, duties] of dutiesByUser(chart)) {
+    if (!include(id)) continue;
+    assigned.push({ user: id, duties, ...attendanceOf(id) });
+  }
+
+  const onChart = new Set(assigned.map((p) => p.user));
+  const unassigned = Array.from(records.keys())
+    .filter((id) => !onChart.has(id) && include(id))
+    .map((id) => ({ user: id, ...attendanceOf(id) }))
+    .filter((p) => p.status !== "Absent");
+
+  const absent = assigned.filter((p) => p.status === "Absent");
+  const late = assigned.filter((p) => p.late);
+  const attended = assigned.length - absent.length;
+
+  return {
+    reportingAt,
+    summary: {
+      assigned: assigned.length,
+      attended,
+      absent: absent.length,
+      late: late.length,
+      unassignedAttendees: unassigned.length,
+      attendanceRate: assigned.length ? Math.round((attended / assigned.length) * 100) : 0,
+    },
+    assigned,
+    absent,
+    late,
+    unassigned,
+  };
+};
@@ -0,0 +1,158 @@
+// src/utils/dutyChartConflicts.js
+/**
+ * dutyChartConflicts.js
+ * ------------------------------------------------------------
+ * Schedule checks for a duty chart before it is saved (warnings, or a
+ * rejection in strict mode):
+ *   - inactive        referenced users whose status is "inactive"
+ *   - doubleBooked    same person on more than one assignment row
+ *   - otherCharts     same person on another chart on the same dutyDate
+ *   - onLeave         person has a leave of absence covering dutyDate
+ * Typed names ({ externalName }) are never checked. Ids that match no user
+ * are not a warning: findUnknownUserIds lets callers reject them outright.
+ */
+
+import DutyChart from "../models/DutyChart.js";
+import LeaveOfAbsence from "../models/LeaveOfAbsence.js";
+import User from "../models/user.js";
+import { userDutyChartFilter } from "./dutyChartQueries.js";
+import { personUserId } from "./personRef.js";
+
+// every ObjectId reference on the chart with a human-readable place
+export const collectReferences = (chart) => {
+  const refs = [];
+  const add = (value, field, assignmentIndex = null) => {
+    const id = personUserId(value);
+    if (id) refs.push({ id, field, assignmentIndex });
+  };
+
+  add(chart.jamiatIncharge, "jamiatIncharge");
+  add(chart.eventIncharge?.captain, "eventIncharge.captain");
+  add(chart.eventIncharge?.viceCaptain, "eventIncharge.viceCaptain");
+  (chart.assignments || []).forEach((a, i) => {
+    add(a.inchargeOfficer, "inchargeOfficer", i);
+    add(a.subInchargeOfficer, "subInchargeOfficer", i);
+    (a.members || []).forEach((m) => add(m, "members", i));
+  });
+  return refs;
+};
+
+export const dayBounds = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+const describeUser = (u) => ({
+  _id: u._id,
+  name: [u.name, u.surname].filter(Boolean).join(" "),
+  itsNumber: u.itsNumber,
+});
+
+// referenced user ids (strings) that match no user — callers answer 400
+export const findUnknownUserIds = async (chart) => {
+  const ids = [...new Set(collectReferences(chart).map((r) => r.id))];
+  if (ids.length === 0) return [];
+  const found = await User.find({ _id: { $in: ids } }).select("_id").lean();
+  const foundIds = new Set(found.map((u) => String(u._id)));
+  return ids.filter((id) => !foundIds.has(id));
+};
+
+/**
+ * detectChartConflicts - runs every check against a (plain) chart shape.
+ *
+ * @param {Object} chart - { _id?, dutyDate, jamiatIncharge, eventIncharge, assignments }
+ * @returns {Promise<{ hasConflicts: boolean, inactive, doubleBooked, otherCharts, onLeave }>}
+ */
+export const detectChartConflicts = async (chart) => {
+  const refs = collectReferences(chart);
+  const ids = [...new Set(refs.map((r) => r.id))];
+  const result = { hasConflicts: false, inactive: [], doubleBooked: [], otherCharts: [], onLeave: [] };
+  if (ids.length === 0) return result;
+
+  const users = await User.find({ _id: { $in: ids } }).select("name surname itsNumber status").lean();
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+
+  result.inactive = users
+    .filter((u) => u.status === "inactive")
+    .map((u) => ({
+      ...describeUser(u),
+      fields: [...new Set(refs.filter((r) => r.id === String(u._id)).map((r) => r.field))],
+    }));
+
+  // same person on two or more assignment rows of this chart
+  const rowsById = new Map();
+  for (const r of refs) {
+    if (r.assignmentIndex === null) continue;
+    if (!rowsById.has(r.id)) rowsById.set(r.id, new Set());
+    rowsById.get(r.id).add(r.assignmentIndex);
+  }
+  for (const [id, rows] of rowsById) {
+    if (rows.size < 2 || !usersById.has(id)) continue;
+    result.doubleBooked.push({
+      ...describeUser(usersById.get(id)),
+      assignments: [...rows].map((i) => {
+        const a = chart.assignments[i];
+        return { index: i, _id: a._id, location: a.location, area: a.area, task: a.task };
+      }),
+    });
+  }
+
+  const known = ids.filter((id) => usersById.has(id));
+  if (known.length > 0 && chart.dutyDate && !Number.isNaN(new Date(chart.dutyDate).getTime())) {
+    const { start, end } = dayBounds(chart.dutyDate);
+
+    // other charts on the same day that mention any of these people
+    const sameDay = await DutyChart.find({
+      dutyDate: { $gte: start, $lt: end },
+      ...(chart._id && { _id: { $ne: chart._id } }),
+      $or: known.flatMap((id) => userDutyChartFilter(id).$or),
+    })
+      .select("eventName title dutyDate jamiatIncharge eventIncharge assignments")
+      .lean();
+
+    for (const other of sameDay) {
+      const otherIds = new Set(collectReferences(other).map((r) => r.id));
+      for (const id of known) {
+        if (!otherIds.has(id)) continue;
+        result.otherCharts.push({
+          ...describeUser(usersById.get(id)),
+          chart: { _id: other._id, eventName: other.eventName, title: other.title, dutyDate: other.dutyDate },
+        });
+      }
+    }
+
+    const leaves = await LeaveOfAbsence.find({
+      member: { $in: known },
+      from: { $lt: end },
+      to: { $gte: start },
+    }).lean();
+    result.onLeave = leaves.map((l) => ({
+      ...describeUser(usersById.get(String(l.member))),
+      leave: { _id: l._id, from: l.from, to: l.to, reason: l.reason },
+    }));
+  }
+
+  result.hasConflicts = ["inactive", "doubleBooked", "otherCharts", "onLeave"].some(
+    (k) => result[k].length > 0
+  );
+  return result;
+};
+
+// ?strict=true or { strict: true } in the body
+export const isStrictRequest = (req) => String(req.query?.strict ?? req.body?.strict ?? "false") === "true";
+
+// keep only the entries about the given user ids (zone-scoped editors)
+export const conflictsFor = (conflicts, userIds) => {
+  const keep = new Set([...userIds].map(String));
+  const scoped = {
+    inactive: conflicts.inactive.filter((c) => keep.has(String(c._id))),
+    doubleBooked: conflicts.doubleBooked.filter((c) => keep.has(String(c._id))),
+    otherCharts: conflicts.otherCharts.filter((c) => keep.has(String(c._id))),
+    onLeave: conflicts.onLeave.filter((c) => keep.has(String(c._id))),
+  };
+  scoped.hasConflicts = Object.values(scoped).some((list) => list.length > 0);
+  return scoped;
+};
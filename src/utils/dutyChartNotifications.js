@@ -0,0 +1,131 @@
+// src/utils/dutyChartNotifications.js
+/**
+ * dutyChartNotifications.js
+ * ------------------------------------------------------------
+ * Targeted "duty" notifications: only people who appear on a chart hear
+ * about it. Each recipient gets their own message describing their duty,
+ * linked to the chart through dutyChartId.
+ *
+ *   notifyChartPublished(chart, createdBy)         → everyone on a new chart
+ *   notifyChartChanges(before, after, createdBy)   → added / removed /
+ *                                                    reassigned people, and
+ *                                                    everyone when date,
+ *                                                    time or dress code move
+ *   notifyPersonal(messages, chart, createdBy)     → any per-user messages
+ *                                                    (swaps, acknowledgements)
+ */
+
+import Notification from "../models/Notification.js";
+import User from "../models/user.js";
+import { personUserId } from "./personRef.js";
+
+// fields whose change affects everyone on the chart
+const CHART_DETAIL_FIELDS = {
+  eventName: "event",
+  dutyDate: "date",
+  reportingTime: "reporting time",
+  dressCode: "dress code",
+};
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" }) : "";
+
+const placeOf = (a) => [a.location, a.area].filter(Boolean).join(" / ");
+
+/**
+ * dutiesByUser - userId → list of duty descriptions on a (plain) chart,
+ * e.g. ["Member at Gate 1 / Area A (Crowd control)", "Captain"].
+ * Only member references count; typed names cannot be notified.
+ */
+export const dutiesByUser = (chart = {}) => {
+  const duties = new Map();
+  const add = (value, text) => {
+    const id = personUserId(value);
+    if (!id) return;
+    if (!duties.has(id)) duties.set(id, []);
+    duties.get(id).push(text);
+  };
+
+  add(chart.jamiatIncharge, "Jamiat Incharge");
+  add(chart.eventIncharge?.captain, "Captain");
+  add(chart.eventIncharge?.viceCaptain, "Vice Captain");
+  for (const a of chart.assignments || []) {
+    const where = `at ${placeOf(a)}${a.task ? ` (${a.task})` : ""}`;
+    add(a.inchargeOfficer, `Incharge Officer ${where}`);
+    add(a.subInchargeOfficer, `Sub-Incharge Officer ${where}`);
+    for (const m of a.members || []) add(m, `Member ${where}`);
+  }
+  return duties;
+};
+
+const chartHeading = (chart) => `"${chart.eventName}" on ${formatDate(chart.dutyDate)}`;
+
+// one Notification per recipient (messages are personal); inactive users are skipped
+// messages: Map userId → text
+export const notifyPersonal = async (messages, chart, createdBy) => {
+  if (messages.size === 0) return [];
+
+  const active = await User.find({ _id: { $in: Array.from(messages.keys()) }, status: "active" }).select("_id").lean();
+  const docs = active.map((u) => ({
+    message: messages.get(String(u._id)),
+    type: "duty",
+    dutyChartId: chart._id,
+    createdBy,
+    forUsers: [u._id],
+    readBy: [],
+  }));
+  if (docs.length === 0) return [];
+
+  const created = await Notification.insertMany(docs);
+  console.log(`🔔 Duty chart ${chart._id}: ${created.length} member notification(s) sent`);
+  return created;
+};
+
+export const notifyChartPublished = async (chart, createdBy) => {
+  const messages = new Map();
+  for (const [id, duties] of dutiesByUser(chart)) {
+    messages.set(
+      id,
+      `You're assigned to ${chartHeading(chart)}: ${duties.join("; ")}. Reporting ${chart.reportingTime}, dress code ${chart.dressCode}.`
+    );
+  }
+  return notifyPersonal(messages, chart, createdBy);
+};
+
+export const notifyChartChanges = async (before, after, createdBy) => {
+  const was = dutiesByUser(before);
+  const now = dutiesByUser(after);
+
+  const changedDetails = Object.entries(CHART_DETAIL_FIELDS)
+    .filter(([field]) =>
+      field === "dutyDate"
+        ? formatDate(before.dutyDate) !== formatDate(after.dutyDate)
+        : String(before[field] ?? "") !== String(after[field] ?? "")
+    )
+    .map(([field, label]) => `${label} is now ${field === "dutyDate" ? formatDate(after.dutyDate) : after[field]}`);
+
+  const messages = new Map();
+
+  for (const [id, duties] of now) {
+    const previous = was.get(id);
+    if (!previous) {
+      messages.set(
+        id,
+        `You've been added to ${chartHeading(after)}: ${duties.join("; ")}. Reporting ${after.reportingTime}, dress code ${after.dressCode}.`
+      );
+      continue;
+    }
+
+    const parts = [];
+    if (previous.join("|") !== duties.join("|"))
+      parts.push(`your duty changed from ${previous.join("; ")} to ${duties.join("; ")}`);
+    if (changedDetails.length > 0) parts.push(changedDetails.join(", "));
+    if (parts.length > 0) messages.set(id, `Duty chart ${chartHeading(after)} updated: ${parts.join("; ")}.`);
+  }
+
+  for (const id of was.keys()) {
+    if (!now.has(id)) messages.set(id, `You've been removed from duty chart ${chartHeading(before)}.`);
+  }
+
+  return notifyPersonal(messages, after, createdBy);
+};
@@ -0,0 +1,236 @@
+// src/utils/dutyChartPdf.js
+/**
+ * dutyChartPdf.js
+ * ------------------------------------------------------------
+ * pdfkit renderers for a duty chart: the full printable A4 chart and the
+ * per-member duty slip. Both expect a chart that already went through
+ * attachUserObjects (people are user objects or typed names).
+ */
+
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+
+const BRAND_COLOR = "#1976d2";
+
+// user object → "Name Surname (ITS)", typed name → as is
+export const personLabel = (person) => {
+  if (!person) return "—";
+  if (typeof person === "object") {
+    const name = [person.name, person.surname].filter(Boolean).join(" ");
+    return person.itsNumber ? `${name} (${person.itsNumber})` : name || "—";
+  }
+  return String(person);
+};
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" }) : "—";
+
+// location → area → assignments, keeping the order they were entered in
+const groupAssignments = (assignments = []) => {
+  const locations = new Map();
+  for (const a of assignments) {
+    if (!locations.has(a.location)) locations.set(a.location, new Map());
+    const areas = locations.get(a.location);
+    if (!areas.has(a.area)) areas.set(a.area, []);
+    areas.get(a.area).push(a);
+  }
+  return locations;
+};
+
+const labelValue = (doc, label, value, x, y, width) => {
+  doc.font("Helvetica-Bold").fontSize(9).fillColor("#555").text(label, x, y, { width });
+  doc.font("Helvetica").fontSize(10).fillColor("#000").text(value || "—", x, doc.y, { width });
+  return doc.y;
+};
+
+// two label/value blocks side by side; continues below the taller one
+const labelPair = (doc, [l1, v1], [l2, v2], x, y, width) => {
+  const half = width / 2;
+  const end = Math.max(labelValue(doc, l1, v1, x, y, half), labelValue(doc, l2, v2, x + half, y, half));
+  doc.y = end + 4;
+};
+
+/* ---------- Full chart ---------- */
+
+const CHART_COLUMNS = [
+  { key: "task", header: "Task", width: 0.2 },
+  { key: "team", header: "Team", width: 0.12 },
+  { key: "inchargeOfficer", header: "Incharge", width: 0.18 },
+  { key: "subInchargeOfficer", header: "Sub-Incharge", width: 0.18 },
+  { key: "members", header: "Members", width: 0.32 },
+];
+
+const chartCell = (a, key) => {
+  if (key === "members") return (a.members || []).map(personLabel).join(", ") || "—";
+  if (key === "inchargeOfficer" || key === "subInchargeOfficer") return personLabel(a[key]);
+  return a[key] || "—";
+};
+
+/**
+ * renderDutyChartPdf - writes the whole chart as an A4 PDF to `stream`:
+ * header block (event, date, reporting time, dress code, Jamiat incharge,
+ * captain, vice captain) followed by assignments grouped by location and area.
+ */
+export const renderDutyChartPdf = (chart, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 36 });
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const columns = CHART_COLUMNS.map((c) => ({ ...c, px: c.width * usableWidth }));
+
+  // header block
+  doc.font("Helvetica-Bold").fontSize(16).fillColor(BRAND_COLOR).text(chart.title || "Duty Chart", left, doc.y, { align: "center" });
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#000").text(chart.eventName, { align: "center" });
+  doc.moveDown(0.6);
+
+  labelPair(doc, ["Duty Date", formatDate(chart.dutyDate)], ["Reporting Time", chart.reportingTime], left, doc.y, usableWidth);
+  labelPair(doc, ["Dress Code", chart.dressCode], ["Jamiat Incharge", personLabel(chart.jamiatIncharge)], left, doc.y, usableWidth);
+  labelPair(
+    doc,
+    ["Captain", personLabel(chart.eventIncharge?.captain)],
+    ["Vice Captain", personLabel(chart.eventIncharge?.viceCaptain)],
+    left,
+    doc.y,
+    usableWidth
+  );
+  doc.moveDown(1);
+
+  const ensureSpace = (height) => {
+    if (doc.y + height > bottom) doc.addPage();
+  };
+
+  const drawTableHeader = () => {
+    const y = doc.y;
+    doc.rect(left, y, usableWidth, 16).fill(BRAND_COLOR);
+    doc.fillColor("#fff").font("Helvetica-Bold").fontSize(9);
+    let x = left;
+    for (const c of columns) {
+      doc.text(c.header, x + 4, y + 4, { width: c.px - 8 });
+      x += c.px;
+    }
+    doc.fillColor("#000").font("Helvetica").fontSize(9);
+    doc.y = y + 16;
+  };
+
+  const drawRow = (a, shaded) => {
+    const cells = columns.map((c) => chartCell(a, c.key));
+    doc.font("Helvetica").fontSize(9);
+    const height = Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: columns[i].px - 8 }))) + 8;
+
+    if (doc.y + height > bottom) {
+      doc.addPage();
+      drawTableHeader();
+    }
+
+    const y = doc.y;
+    if (shaded) doc.rect(left, y, usableWidth, height).fill("#f3f6fb").fillColor("#000");
+    let x = left;
+    cells.forEach((text, i) => {
+      doc.text(text, x + 4, y + 4, { width: columns[i].px - 8 });
+      x += columns[i].px;
+    });
+    doc.y = y + height;
+  };
+
+  const groups = groupAssignments(chart.assignments);
+  if (groups.size === 0) doc.font("Helvetica").fontSize(10).text("No assignments on this chart.", left);
+
+  for (const [location, areas] of groups) {
+    ensureSpace(60);
+    doc.font("Helvetica-Bold").fontSize(12).fillColor(BRAND_COLOR).text(location, left, doc.y + 6);
+    for (const [area, rows] of areas) {
+      ensureSpace(40);
+      doc.font("Helvetica-Bold").fontSize(10).fillColor("#000").text(`Area: ${area}`, left, doc.y + 4);
+      doc.moveDown(0.2);
+      drawTableHeader();
+      rows.forEach((a, i) => drawRow(a, i % 2 === 1));
+      doc.moveDown(0.4);
+    }
+  }
+
+  doc.end();
+};
+
+/* ---------- Per-member slip ---------- */
+
+/**
+ * renderDutySlipPdf - one A5 page per duty the member holds on the chart,
+ * each with a QR code encoding that duty (chart, assignment, member).
+ *
+ * @param {Object} chart - populated plain chart
+ * @param {Object} member - { _id, name, surname, itsNumber, zone }
+ * @param {Array<{ role: string, assignment?: Object }>} duties
+ */
+export const renderDutySlipPdf = async (chart, member, duties, stream) => {
+  // build every QR first so a failure never leaves a half-written PDF
+  const qrImages = await Promise.all(
+    duties.map(({ role, assignment }) =>
+      QRCode.toBuffer(
+        JSON.stringify({
+          type: "duty-slip",
+          chart: String(chart._id),
+          assignment: assignment ? String(assignment._id) : null,
+          member: String(member._id),
+          its: member.itsNumber,
+          role,
+          date: chart.dutyDate,
+        }),
+        { type: "png", margin: 1, width: 220 }
+      )
+    )
+  );
+
+  const doc = new PDFDocument({ size: "A5", margin: 30, autoFirstPage: false });
+  doc.pipe(stream);
+
+  duties.forEach(({ role, assignment }, index) => {
+    doc.addPage();
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.font("Helvetica-Bold").fontSize(14).fillColor(BRAND_COLOR).text("Duty Slip", left, doc.page.margins.top, { align: "center", width });
+    doc.font("Helvetica-Bold").fontSize(11).fillColor("#000").text(chart.eventName, { align: "center", width });
+    doc.font("Helvetica").fontSize(9).fillColor("#666").text(chart.title || "", { align: "center", width });
+    doc.moveDown(0.8);
+
+    const qrSize = 120;
+    const qrTop = doc.y;
+    doc.image(qrImages[index], left + width - qrSize, qrTop, { width: qrSize });
+
+    const textWidth = width - qrSize - 12;
+    labelValue(doc, "Member", personLabel(member), left, qrTop, textWidth);
+    labelValue(doc, "Zone", member.zone, left, doc.y + 4, textWidth);
+    labelValue(doc, "Role", role, left, doc.y + 4, textWidth);
+    labelValue(doc, "Duty Date", formatDate(chart.dutyDate), left, doc.y + 4, textWidth);
+    labelValue(doc, "Reporting Time", chart.reportingTime, left, doc.y + 4, textWidth);
+    labelValue(doc, "Dress Code", chart.dressCode, left, doc.y + 4, textWidth);
+
+    doc.y = Math.max(doc.y, qrTop + qrSize) + 10;
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor("#ccc").stroke();
+    doc.moveDown(0.5);
+
+    if (assignment) {
+      labelPair(doc, ["Location", assignment.location], ["Area", assignment.area], left, doc.y, width);
+      labelPair(doc, ["Task", assignment.task], ["Team", assignment.team], left, doc.y, width);
+      labelPair(
+        doc,
+        ["Incharge Officer", personLabel(assignment.inchargeOfficer)],
+        ["Sub-Incharge Officer", personLabel(assignment.subInchargeOfficer)],
+        left,
+        doc.y,
+        width
+      );
+    } else {
+      labelValue(doc, "Jamiat Incharge", personLabel(chart.jamiatIncharge), left, doc.y, width);
+      labelValue(doc, "Captain", personLabel(chart.eventIncharge?.captain), left, doc.y + 4, width);
+      labelValue(doc, "Vice Captain", personLabel(chart.eventIncharge?.viceCaptain), left, doc.y + 4, width);
+    }
+
+    doc.font("Helvetica").fontSize(7).fillColor("#888")
+      .text(`Generated ${new Date().toLocaleString()}`, left, doc.page.height - doc.page.margins.bottom - 10, { width, align: "center" });
+  });
+
+  doc.end();
+};
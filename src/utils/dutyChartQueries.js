@@ -0,0 +1,104 @@
+// src/utils/dutyChartQueries.js
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import { personUserId, personToLegacy } from "./personRef.js";
+
+const sameId = (value, userId) => personUserId(value) === String(userId);
+
+/**
+ * Replace people with user objects (registered members) or their typed
+ * name — the shape clients have always received.
+ * Accepts array of docs (plain objects ok or mongoose docs).
+ * Returns array of plain objects with replacements done.
+ */
+export const attachUserObjects = async (docs) => {
+  if (!Array.isArray(docs) || docs.length === 0) return docs;
+  // convert docs to plain objects
+  const plain = docs.map((d) => JSON.parse(JSON.stringify(d)));
+  const idSet = new Set();
+  const pushIfValid = (v) => { const id = personUserId(v); if (id) idSet.add(id); };
+
+  for (const doc of plain) {
+    pushIfValid(doc.jamiatIncharge);
+    pushIfValid(doc.eventIncharge?.captain);
+    pushIfValid(doc.eventIncharge?.viceCaptain);
+    pushIfValid(doc.createdBy);
+    for (const a of doc.assignments || []) {
+      pushIfValid(a.inchargeOfficer);
+      pushIfValid(a.subInchargeOfficer);
+      for (const m of (a.members || [])) pushIfValid(m);
+    }
+  }
+
+  const users = idSet.size === 0 ? [] : await User.find({ _id: { $in: Array.from(idSet) } })
+    .select("name surname itsNumber role")
+    .lean();
+
+  const usersMap = {};
+  users.forEach((u) => (usersMap[String(u._id)] = u));
+
+  // user object when we know the member, otherwise the id / typed name
+  const present = (v) => {
+    const id = personUserId(v);
+    if (id) return usersMap[id] || id;
+    return personToLegacy(v);
+  };
+
+  for (const doc of plain) {
+    if ("jamiatIncharge" in doc) doc.jamiatIncharge = present(doc.jamiatIncharge);
+    if (doc.eventIncharge) {
+      doc.eventIncharge.captain = present(doc.eventIncharge.captain);
+      doc.eventIncharge.viceCaptain = present(doc.eventIncharge.viceCaptain);
+    }
+    if (doc.createdBy && usersMap[doc.createdBy]) doc.createdBy = usersMap[doc.createdBy];
+
+    doc.assignments = (doc.assignments || []).map((a) => ({
+      ...a,
+      inchargeOfficer: present(a.inchargeOfficer),
+      subInchargeOfficer: present(a.subInchargeOfficer),
+      members: (a.members || []).map(present).filter(Boolean),
+    }));
+  }
+
+  return plain;
+};
+
+/**
+ * userDutyChartFilter - charts where the user appears anywhere: as a member,
+ * incharge / sub-incharge of an assignment, event captain / vice captain or
+ * Jamiat incharge. Every path is indexed.
+ */
+export const userDutyChartFilter = (userId) => {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  return {
+    $or: [
+      { "jamiatIncharge.user": user },
+      { "eventIncharge.captain.user": user },
+      { "eventIncharge.viceCaptain.user": user },
+      { "assignments.members.user": user },
+      { "assignments.inchargeOfficer.user": user },
+      { "assignments.subInchargeOfficer.user": user },
+    ],
+  };
+};
+
+/**
+ * chartRolesForUser - chart-level roles the user holds on a (plain) chart.
+ */
+export const chartRolesForUser = (chart, userId) => {
+  const roles = [];
+  if (sameId(chart.jamiatIncharge, userId)) roles.push("Jamiat Incharge");
+  if (sameId(chart.eventIncharge?.captain, userId)) roles.push("Captain");
+  if (sameId(chart.eventIncharge?.viceCaptain, userId)) roles.push("Vice Captain");
+  return roles;
+};
+
+/**
+ * assignmentRoleForUser - the user's role on one assignment row, or null.
+ */
+export const assignmentRoleForUser = (assignment, userId) => {
+  if (sameId(assignment.inchargeOfficer, userId)) return "Incharge Officer";
+  if (sameId(assignment.subInchargeOfficer, userId)) return "Sub-Incharge Officer";
+  if ((assignment.members || []).some((m) => sameId(m, userId))) return "Member";
+  return null;
+};
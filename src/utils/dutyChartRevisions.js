@@ -0,0 +1,167 @@
+// src/utils/dutyChartRevisions.js
+/**
+ * dutyChartRevisions.js
+ * ------------------------------------------------------------
+ * Change history for duty charts (models/DutyChartRevision.js).
+ *
+ *   recordRevision({ chart, action, changedBy, before, session })
+ *       → snapshot the chart after a change. Charts saved before history
+ *         existed get their previous state stored first as a "baseline".
+ *         Revision numbers come from an atomic per-chart Counter.
+ *   commitWithRevision(write, revision)
+ *       → the chart write and its revision in one transaction, so a change
+ *         is never saved without its revision.
+ *   diffSnapshots(from, to, labelOf)
+ *       → chart-level field changes plus an assignment-by-assignment diff.
+ *
+ * Acknowledgements are member answers, not chart content; they are kept in
+ * snapshots but never produce a revision on their own.
+ */
+
+import mongoose from "mongoose";
+import DutyChartRevision from "../models/DutyChartRevision.js";
+import Counter from "../models/Counter.js";
+import { personKey, personToLegacy } from "./personRef.js";
+
+const plain = (chart) => (typeof chart?.toObject === "function" ? chart.toObject() : chart);
+
+const bumpCounter = (key, count, session) =>
+  Counter.findOneAndUpdate({ _id: key }, { $inc: { seq: count } }, { new: true, session }).lean();
+
+// reserves `count` consecutive revision numbers and returns the first one
+const allocateRevisions = async (chartId, count, session) => {
+  const key = `chart-revision:${chartId}`;
+  let counter = await bumpCounter(key, count, session);
+  if (counter) return counter.seq - count + 1;
+
+  // first write since counters: start after any revisions already stored ($max is safe to repeat)
+  const last = await DutyChartRevision.findOne({ chart: chartId })
+    .sort({ revision: -1 })
+    .select("revision")
+    .session(session)
+    .lean();
+  await Counter.updateOne({ _id: key }, { $max: { seq: last?.revision || 0 } }, { upsert: true, session });
+  counter = await bumpCounter(key, count, session);
+  return counter.seq - count + 1;
+};
+
+export const recordRevision = async ({ chart, action, changedBy = null, before = null, note = "", session = null }) => {
+  const snapshot = plain(chart);
+
+  const hasHistory = await DutyChartRevision.exists({ chart: snapshot._id }).session(session);
+  const withBaseline = !hasHistory && Boolean(before);
+  let next = await allocateRevisions(snapshot._id, withBaseline ? 2 : 1, session);
+
+  const docs = [];
+  if (withBaseline) {
+    docs.push({ chart: snapshot._id, revision: next++, action: "baseline", snapshot: plain(before), changedBy: null });
+  }
+  docs.push({ chart: snapshot._id, revision: next, action, snapshot, changedBy, note });
+
+  const created = await DutyChartRevision.create(docs, { session, ordered: true });
+  return created[created.length - 1];
+};
+
+/**
+ * commitWithRevision - runs write(session) (save / delete of the chart) and
+ * records the revision in the same transaction. Transient write conflicts
+ * are retried by the driver; any other error rolls both back.
+ */
+export const commitWithRevision = (write, revision) =>
+  mongoose.connection.transaction(async (session) => {
+    await write(session);
+    await recordRevision({ ...revision, session });
+  });
+
+/* ---------- Diff ---------- */
+
+const CHART_FIELDS = ["title", "eventName", "dutyDate", "reportingTime", "dressCode", "miqaat"];
+const CHART_PEOPLE = {
+  jamiatIncharge: (c) => c.jamiatIncharge,
+  "eventIncharge.captain": (c) => c.eventIncharge?.captain,
+  "eventIncharge.viceCaptain": (c) => c.eventIncharge?.viceCaptain,
+};
+const ASSIGNMENT_FIELDS = ["location", "area", "task", "team"];
+const ASSIGNMENT_PEOPLE = ["inchargeOfficer", "subInchargeOfficer"];
+
+const comparable = (value) =>
+  value instanceof Date ? value.toISOString() : value === undefined || value === null ? "" : String(value);
+
+const placeKey = (a) => [a.location, a.area, a.task].map((v) => String(v || "").trim().toLowerCase()).join("|");
+
+// pairs assignments by _id first, then by location/area/task for rows saved with new ids
+const pairAssignments = (fromList = [], toList = []) => {
+  const unmatched = new Map(toList.map((a, i) => [i, a]));
+  const pairs = [];
+
+  for (const a of fromList) {
+    const index = [...unmatched.keys()].find((i) => a._id && String(unmatched.get(i)._id) === String(a._id));
+    if (index !== undefined) {
+      pairs.push([a, unmatched.get(index)]);
+      unmatched.delete(index);
+    } else {
+      pairs.push([a, null]);
+    }
+  }
+  for (const pair of pairs) {
+    if (pair[1]) continue;
+    const index = [...unmatched.keys()].find((i) => placeKey(unmatched.get(i)) === placeKey(pair[0]));
+    if (index === undefined) continue;
+    pair[1] = unmatched.get(index);
+    unmatched.delete(index);
+  }
+  for (const a of unmatched.values()) pairs.push([null, a]);
+  return pairs;
+};
+
+/**
+ * diffSnapshots - what changed between two chart snapshots.
+ *
+ * @param {Object} from    - older snapshot
+ * @param {Object} to      - newer snapshot
+ * @param {Function} [labelOf] - person ref → display value (defaults to id / typed name)
+ * @returns {{ changed: boolean, fields: Object, assignments: Array }}
+ */
+export const diffSnapshots = (from = {}, to = {}, labelOf = personToLegacy) => {
+  const fields = {};
+  for (const field of CHART_FIELDS) {
+    if (comparable(from[field]) !== comparable(to[field])) fields[field] = { from: from[field] ?? null, to: to[field] ?? null };
+  }
+  for (const [field, get] of Object.entries(CHART_PEOPLE)) {
+    if (personKey(get(from)) !== personKey(get(to)))
+      fields[field] = { from: labelOf(get(from)), to: labelOf(get(to)) };
+  }
+
+  const assignments = pairAssignments(from.assignments, to.assignments).map(([before, after]) => {
+    const row = after || before;
+    const entry = { _id: row._id, location: row.location, area: row.area, task: row.task };
+
+    if (!before) return { ...entry, status: "added", members: { added: (after.members || []).map(labelOf), removed: [] } };
+    if (!after) return { ...entry, status: "removed", members: { added: [], removed: (before.members || []).map(labelOf) } };
+
+    const changes = {};
+    for (const field of ASSIGNMENT_FIELDS) {
+      if (comparable(before[field]) !== comparable(after[field])) changes[field] = { from: before[field] ?? "", to: after[field] ?? "" };
+    }
+    for (const field of ASSIGNMENT_PEOPLE) {
+      if (personKey(before[field]) !== personKey(after[field]))
+        changes[field] = { from: labelOf(before[field]), to: labelOf(after[field]) };
+    }
+
+    const beforeKeys = new Set((before.members || []).map(personKey));
+    const afterKeys = new Set((after.members || []).map(personKey));
+    const members = {
+      added: (after.members || []).filter((m) => !beforeKeys.has(personKey(m))).map(labelOf),
+      removed: (before.members || []).filter((m) => !afterKeys.has(personKey(m))).map(labelOf),
+    };
+
+    const changed = Object.keys(changes).length > 0 || members.added.length > 0 || members.removed.length > 0;
+    return { ...entry, status: changed ? "changed" : "unchanged", changes, members };
+  });
+
+  return {
+    changed: Object.keys(fields).length > 0 || assignments.some((a) => a.status !== "unchanged"),
+    fields,
+    assignments,
+  };
+};
@@ -0,0 +1,170 @@
+// src/utils/dutyRoster.js
+/**
+ * dutyRoster.js
+ * ------------------------------------------------------------
+ * Fair-rotation roster proposal for a duty chart. Pure: the caller loads
+ * the member pool, recent duty load and unavailable members; this only
+ * decides who goes where. Nothing is saved here.
+ *
+ * Candidates are ranked by: preferred zone first, then the order of the
+ * allowed designations (officers), then fewest recent duties, then name.
+ * Every pick bumps the member's load so work spreads across rows of the
+ * same chart as well.
+ */
+
+import { personUserId, personToLegacy } from "./personRef.js";
+
+export const DEFAULT_HEADCOUNT = 5;
+export const DEFAULT_INCHARGE_DESIGNATIONS = ["Captain"];
+export const DEFAULT_SUB_INCHARGE_DESIGNATIONS = ["Vice Captain", "Captain"];
+
+// Who can be rostered: active guards (Members, and Captains as officers).
+// Admin, Finance and SuperAdmin accounts and Admin designations never are.
+export const ROSTER_POOL_FILTER = {
+  status: "active",
+  role: { $in: ["Member", "Captain"] },
+  designation: { $ne: "Admin" },
+};
+
+const fullName = (u) => [u.name, u.surname].filter(Boolean).join(" ");
+
+// per-row setting: by assignment id first, then by location name
+const rowSetting = (map, assignment) => {
+  if (!map || typeof map !== "object") return undefined;
+  return map[String(assignment._id)] ?? map[assignment.location];
+};
+
+/**
+ * proposeRoster
+ *
+ * @param {Object} params
+ * @param {Object} params.chart        plain DutyChart (assignments with _id)
+ * @param {Array}  params.pool         users matching ROSTER_POOL_FILTER { _id, name, surname, itsNumber, zone, designation }
+ * @param {Map}    params.load         userId → recent duty count
+ * @param {Set}    params.unavailable  userIds on leave or on another chart that day
+ * @param {Object} [params.options]
+ *   headcount                number of members per row (default 5)
+ *   headcounts               { [assignmentId|location]: number }
+ *   zonePreferences          { [assignmentId|location]: [zone, ...] }
+ *   strictZones              only use preferred zones when a row has preferences
+ *   inchargeDesignations     designations allowed as incharge officer
+ *   subInchargeDesignations  designations allowed as sub-incharge officer
+ *   keepExisting             keep people already on the chart (default true)
+ * @returns {{ assignments: Array, rows: Array, remainingPool: number }}
+ */
+export const proposeRoster = ({ chart, pool, load = new Map(), unavailable = new Set(), options = {} }) => {
+  const {
+    headcount = DEFAULT_HEADCOUNT,
+    headcounts = {},
+    zonePreferences = {},
+    strictZones = false,
+    inchargeDesignations = DEFAULT_INCHARGE_DESIGNATIONS,
+    subInchargeDesignations = DEFAULT_SUB_INCHARGE_DESIGNATIONS,
+    keepExisting = true,
+  } = options;
+
+  const currentLoad = new Map(pool.map((u) => [String(u._id), load.get(String(u._id)) || 0]));
+  const used = new Set(unavailable);
+
+  // chart-level officers are busy with the whole event
+  for (const v of [chart.jamiatIncharge, chart.eventIncharge?.captain, chart.eventIncharge?.viceCaptain]) {
+    const id = personUserId(v);
+    if (id) used.add(id);
+  }
+
+  // people already placed stay where they are
+  if (keepExisting) {
+    for (const a of chart.assignments || []) {
+      for (const v of [a.inchargeOfficer, a.subInchargeOfficer, ...(a.members || [])]) {
+        const id = personUserId(v);
+        if (id) used.add(id);
+      }
+    }
+  }
+
+  const pick = (assignment, count, designations = null) => {
+    const preferred = rowSetting(zonePreferences, assignment) || [];
+    const candidates = pool
+      .filter((u) => !used.has(String(u._id)))
+      .filter((u) => !designations || designations.includes(u.designation))
+      .filter((u) => !(strictZones && preferred.length > 0) || preferred.includes(u.zone))
+      .sort((a, b) => {
+        const zoneRank = (u) => (preferred.length > 0 && !preferred.includes(u.zone) ? 1 : 0);
+        const designationRank = (u) => (designations ? designations.indexOf(u.designation) : 0);
+        return (
+          zoneRank(a) - zoneRank(b) ||
+          designationRank(a) - designationRank(b) ||
+          currentLoad.get(String(a._id)) - currentLoad.get(String(b._id)) ||
+          fullName(a).localeCompare(fullName(b))
+        );
+      })
+      .slice(0, count);
+
+    for (const u of candidates) {
+      used.add(String(u._id));
+      currentLoad.set(String(u._id), currentLoad.get(String(u._id)) + 1);
+    }
+    return candidates;
+  };
+
+  const describe = (u) => ({
+    _id: String(u._id),
+    name: fullName(u),
+    itsNumber: u.itsNumber,
+    zone: u.zone,
+    designation: u.designation,
+    recentDuties: load.get(String(u._id)) || 0,
+  });
+
+  // officers first, for every row, so members never use up the Captains
+  const rows = [];
+  const assignments = (chart.assignments || []).map((a) => {
+    const proposed = {
+      ...a,
+      // request shape (id-strings / typed names), ready to PUT back
+      inchargeOfficer: keepExisting ? personToLegacy(a.inchargeOfficer) : null,
+      subInchargeOfficer: keepExisting ? personToLegacy(a.subInchargeOfficer) : null,
+      members: keepExisting ? (a.members || []).map(personToLegacy).filter(Boolean) : [],
+    };
+    const row = { assignmentId: a._id, location: a.location, area: a.area, task: a.task, picks: [], warnings: [] };
+
+    if (!proposed.inchargeOfficer) {
+      const [officer] = pick(a, 1, inchargeDesignations);
+      if (officer) {
+        proposed.inchargeOfficer = String(officer._id);
+        row.picks.push({ field: "inchargeOfficer", ...describe(officer) });
+      } else row.warnings.push(`No free ${inchargeDesignations.join("/")} for incharge officer`);
+    }
+
+    if (!proposed.subInchargeOfficer) {
+      const [officer] = pick(a, 1, subInchargeDesignations);
+      if (officer) {
+        proposed.subInchargeOfficer = String(officer._id);
+        row.picks.push({ field: "subInchargeOfficer", ...describe(officer) });
+      } else row.warnings.push(`No free ${subInchargeDesignations.join("/")} for sub-incharge officer`);
+    }
+
+    rows.push(row);
+    return proposed;
+  });
+
+  assignments.forEach((proposed, i) => {
+    const a = chart.assignments[i];
+    const row = rows[i];
+    const target = Number(rowSetting(headcounts, a) ?? headcount) || 0;
+    const needed = Math.max(target - proposed.members.length, 0);
+    const members = pick(a, needed);
+    proposed.members.push(...members.map((u) => String(u._id)));
+    row.picks.push(...members.map((u) => ({ field: "members", ...describe(u) })));
+
+    row.headcount = target;
+    row.filled = proposed.members.length;
+    if (row.filled < target) row.warnings.push(`Short by ${target - row.filled} member(s)`);
+  });
+
+  return {
+    assignments,
+    rows,
+    remainingPool: pool.filter((u) => !used.has(String(u._id))).length,
+  };
+};
@@ -0,0 +1,98 @@
+// src/utils/feeSchedules.js
+/**
+ * feeSchedules.js
+ * ------------------------------------------------------------
+ * Reading the fee schedule (models/FeeSchedule.js) for the dues generators:
+ *   findApplicableSchedule(feeType, date) → active schedule covering date
+ *   findOverlappingSchedule(...)         → clash check for create/update
+ *   amountForMember(schedule, member)    → rate for role / designation
+ *   dueDateFor(schedule, member, issued) → due date from the schedule's rule
+ *   ensureDefaultFeeSchedule()           → first-run seed of the old fixed rate
+ */
+
+import FeeSchedule from "../models/FeeSchedule.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What the annual generator charged before fee schedules existed
+const DEFAULT_ANNUAL_SUBSCRIPTION = {
+  name: "Annual Subscription",
+  feeType: "Annual Subscription",
+  description: "Seeded from the previous fixed rate",
+  defaultAmount: 3000,
+  effectiveFrom: new Date(0),
+  effectiveTo: null,
+  dueRule: { anchor: "anniversary", dueDays: 30 },
+};
+
+export const findApplicableSchedule = (feeType, date = new Date()) =>
+  FeeSchedule.findOne({
+    feeType,
+    active: true,
+    effectiveFrom: { $lte: date },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }],
+  })
+    .sort({ effectiveFrom: -1 })
+    .lean();
+
+// another active schedule of the same fee type whose date range touches this one
+export const findOverlappingSchedule = ({ feeType, effectiveFrom, effectiveTo = null, excludeId = null }) =>
+  FeeSchedule.findOne({
+    feeType,
+    active: true,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    ...(effectiveTo && { effectiveFrom: { $lte: effectiveTo } }),
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: effectiveFrom } }],
+  }).lean();
+
+// role + designation match beats a single match, which beats the default
+export const amountForMember = (schedule, member = {}) => {
+  let best = null;
+  let bestScore = 0;
+  for (const rate of schedule.rates || []) {
+    if (rate.role && rate.role !== member.role) continue;
+    if (rate.designation && rate.designation !== member.designation) continue;
+    const score = (rate.role ? 1 : 0) + (rate.designation ? 1 : 0);
+    if (score > bestScore) {
+      best = rate;
+      bestScore = score;
+    }
+  }
+  return best ? best.amount : schedule.defaultAmount;
+};
+
+export const dueDateFor = (schedule, member = {}, issuedOn = new Date()) => {
+  const rule = schedule.dueRule || {};
+  const dueDays = rule.dueDays ?? 30;
+
+  if (rule.anchor === "fixed") {
+    const due = new Date(issuedOn.getFullYear(), rule.dueMonth - 1, rule.dueDay);
+    if (due < issuedOn) due.setFullYear(due.getFullYear() + 1);
+    return due;
+  }
+
+  if (rule.anchor === "anniversary" && member.createdAt) {
+    const anniversary = new Date(member.createdAt);
+    anniversary.setFullYear(issuedOn.getFullYear());
+    return new Date(anniversary.getTime() + dueDays * DAY_MS);
+  }
+
+  return new Date(issuedOn.getTime() + dueDays * DAY_MS);
+};
+
+/**
+ * ensureDefaultFeeSchedule - on a deployment without any fee schedule yet,
+ * creates the open-ended Annual Subscription schedule (3000, due 30 days
+ * after the registration anniversary) so the dues generators keep working
+ * after the upgrade. Does nothing once any schedule exists.
+ */
+export const ensureDefaultFeeSchedule = async () => {
+  if (await FeeSchedule.exists({})) return null;
+  const result = await FeeSchedule.updateOne(
+    { feeType: DEFAULT_ANNUAL_SUBSCRIPTION.feeType, effectiveFrom: DEFAULT_ANNUAL_SUBSCRIPTION.effectiveFrom },
+    { $setOnInsert: DEFAULT_ANNUAL_SUBSCRIPTION },
+    { upsert: true }
+  );
+  if (result.upsertedCount) console.log("💰 Seeded the default Annual Subscription fee schedule (3000)");
+  return result.upsertedId || null;
+};
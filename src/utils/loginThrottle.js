@@ -0,0 +1,114 @@
+// src/utils/loginThrottle.js
+import LoginLockout from "../models/LoginLockout.js";
+
+// Failures allowed inside the window before a lock, per key kind
+const MAX_FAILURES = { its: 5, ip: 20 };
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+// First lock is 5 minutes, doubling on every repeat lock, capped at 24 hours
+const BASE_LOCK_MS = 5 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Forgot-password requests per client IP per hour, across all accounts
+const RESET_REQUESTS_PER_IP = 10;
+const RESET_WINDOW_MS = 60 * 60 * 1000;
+
+const lockDurationMs = (lockCount) => Math.min(BASE_LOCK_MS * 2 ** lockCount, MAX_LOCK_MS);
+
+const keysFor = (itsNumber, ip) =>
+  [
+    itsNumber ? { kind: "its", key: String(itsNumber).trim() } : null,
+    ip ? { kind: "ip", key: String(ip) } : null,
+  ].filter(Boolean);
+
+/**
+ * getActiveLock - the lock that expires last for this ITS number / IP, or null.
+ */
+export const getActiveLock = async (itsNumber, ip) => {
+  const keys = keysFor(itsNumber, ip);
+  if (keys.length === 0) return null;
+
+  return LoginLockout.findOne({ $or: keys, lockedUntil: { $gt: new Date() } })
+    .sort({ lockedUntil: -1 })
+    .lean();
+};
+
+// $inc as an upsert; a parallel first failure can still lose the insert race once
+const bumpFailures = async (kind, key, now) => {
+  const update = { $inc: { failedCount: 1 }, $set: { lastFailedAt: now } };
+  const options = { upsert: true, new: true };
+  try {
+    return await LoginLockout.findOneAndUpdate({ kind, key }, update, options);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return LoginLockout.findOneAndUpdate({ kind, key }, update, options);
+  }
+};
+
+/**
+ * recordLoginFailure - bumps the ITS and IP counters and locks any key that
+ * crossed its threshold. Returns the new lock (if one was applied).
+ * Every step is a single atomic update, so parallel failures are all counted.
+ */
+export const recordLoginFailure = async (itsNumber, ip) => {
+  const now = new Date();
+  let newLock = null;
+
+  for (const { kind, key } of keysFor(itsNumber, ip)) {
+    // stale failures don't count towards the next lock
+    await LoginLockout.updateOne(
+      { kind, key, lastFailedAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+      { $set: { failedCount: 0 } }
+    );
+
+    const entry = await bumpFailures(kind, key, now);
+    if (entry.failedCount < MAX_FAILURES[kind]) continue;
+
+    // only the request that still sees the threshold applies the lock
+    const locked = await LoginLockout.findOneAndUpdate(
+      { _id: entry._id, failedCount: { $gte: MAX_FAILURES[kind] } },
+      {
+        $set: { lockedUntil: new Date(now.getTime() + lockDurationMs(entry.lockCount)), failedCount: 0 },
+        $inc: { lockCount: 1 },
+      },
+      { new: true }
+    );
+    if (!locked) continue;
+
+    if (!newLock || locked.lockedUntil > newLock.lockedUntil) newLock = locked;
+    console.warn(`🔒 Login locked (${kind}=${key}) until ${locked.lockedUntil.toISOString()}`);
+  }
+
+  return newLock;
+};
+
+/**
+ * allowResetRequest - counts a forgot-password request from this IP and
+ * returns false once the IP is over its hourly limit.
+ */
+export const allowResetRequest = async (ip) => {
+  if (!ip) return true;
+  const now = new Date();
+  const key = String(ip);
+
+  await LoginLockout.updateOne(
+    { kind: "reset-ip", key, lastFailedAt: { $lt: new Date(now.getTime() - RESET_WINDOW_MS) } },
+    { $set: { failedCount: 0 } }
+  );
+  const entry = await bumpFailures("reset-ip", key, now);
+  return entry.failedCount <= RESET_REQUESTS_PER_IP;
+};
+
+/**
+ * clearLoginFailures - successful login resets the ITS counter. The IP
+ * counter is left alone so one valid account can't unlock a guessing IP.
+ */
+export const clearLoginFailures = async (itsNumber) => {
+  if (!itsNumber) return;
+  await LoginLockout.updateOne(
+    { kind: "its", key: String(itsNumber).trim() },
+    { $set: { failedCount: 0, lockCount: 0, lockedUntil: null } }
+  );
+};
+
+export const minutesUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 60000));
@@ -0,0 +1,29 @@
+// src/utils/memberFilters.js
+
+/**
+ * buildMemberQuery - User filter shared by the member list and its export.
+ * Supports ?zone, ?role, ?designation, ?status ("All" = no filter) and
+ * ?search (name / surname / ITS). A zone scope (req.scope) always wins
+ * over the requested zone.
+ */
+export const buildMemberQuery = (params = {}, scope = null) => {
+  const { zone, role, designation, status, search } = params;
+  const query = {};
+
+  if (zone && zone !== "All") query.zone = zone;
+  if (role && role !== "All") query.role = role;
+  if (designation && designation !== "All") query.designation = designation;
+  if (status && status !== "All") query.status = status;
+
+  if (search) {
+    query.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { surname: { $regex: search, $options: "i" } },
+      { itsNumber: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  if (scope && !scope.all) query.zone = scope.zone;
+
+  return query;
+};
@@ -0,0 +1,11 @@
+// src/utils/passwords.js
+import crypto from "crypto";
+
+// Utility: generate a random fallback password
+export const generateRandomPassword = (len = 8) => {
+  return crypto
+    .randomBytes(Math.ceil(len / 2))
+    .toString("hex")
+    .slice(0, len)
+    .toUpperCase();
+};
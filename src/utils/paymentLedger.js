@@ -0,0 +1,90 @@
+// src/utils/paymentLedger.js
+/**
+ * paymentLedger.js
+ * ------------------------------------------------------------
+ * Paid / outstanding amounts of a due come from its transaction ledger
+ * (Payment.transactions). Dues recorded before the ledger existed have
+ * an empty ledger; a "Paid" one of those counts as paid in full.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// amount received so far (works on documents and lean objects)
+export const paidAmountOf = (payment) => {
+  const transactions = payment.transactions || [];
+  if (transactions.length === 0) return payment.status === "Paid" ? payment.amount || 0 : 0;
+  return round2(transactions.reduce((sum, t) => sum + (t.amount || 0), 0));
+};
+
+// ledger entries oldest first: by paidDate (entries can be back-dated), then by when recorded
+export const chronologicalTransactions = (payment) =>
+  [...(payment.transactions || [])].sort(
+    (a, b) => new Date(a.paidDate) - new Date(b.paidDate) || new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+  );
+
+export const outstandingOf = (payment) => Math.max(0, round2((payment.amount || 0) - paidAmountOf(payment)));
+
+// Pending → Partial → Paid from the ledger; unpaid dues past dueDate are Overdue.
+// A proof awaiting review puts an unsettled due "Under Verification".
+export const deriveLedgerStatus = (payment, now = new Date()) => {
+  const paid = paidAmountOf(payment);
+  if (paid >= (payment.amount || 0) && paid > 0) return "Paid";
+  if ((payment.proofs || []).some((p) => p.status === "Pending")) return "Under Verification";
+  if (paid > 0) return "Partial";
+  return payment.dueDate && new Date(payment.dueDate) < now ? "Overdue" : "Pending";
+};
+
+// same rule as paidAmountOf, for aggregation pipelines
+export const PAID_AMOUNT_EXPR = {
+  $cond: [
+    { $gt: [{ $size: { $ifNull: ["$transactions", []] } }, 0] },
+    { $sum: "$transactions.amount" },
+    { $cond: [{ $eq: ["$status", "Paid"] }, "$amount", 0] },
+  ],
+};
+
+/**
+ * summarizePayments - totals for a member's dues.
+ * totalPending / totalOverdue / totalPartial are outstanding amounts per status.
+ */
+export const summarizePayments = (payments = []) => {
+  const summary = {
+    totalDue: 0,
+    totalPaid: 0,
+    totalOutstanding: 0,
+    totalPending: 0,
+    totalOverdue: 0,
+    totalPartial: 0,
+    paidCount: 0,
+    pendingCount: 0,
+    overdueCount: 0,
+    partialCount: 0,
+    underVerificationCount: 0,
+  };
+
+  for (const payment of payments) {
+    const outstanding = outstandingOf(payment);
+    summary.totalDue += payment.amount || 0;
+    summary.totalPaid += paidAmountOf(payment);
+    summary.totalOutstanding += outstanding;
+
+    if (payment.status === "Paid") summary.paidCount++;
+    else if (payment.status === "Overdue") {
+      summary.totalOverdue += outstanding;
+      summary.overdueCount++;
+    } else if (payment.status === "Partial") {
+      summary.totalPartial += outstanding;
+      summary.partialCount++;
+    } else if (payment.status === "Pending") {
+      summary.totalPending += outstanding;
+      summary.pendingCount++;
+    } else if (payment.status === "Under Verification") {
+      summary.underVerificationCount++;
+    }
+  }
+
+  for (const key of Object.keys(summary)) {
+    if (key.startsWith("total")) summary[key] = round2(summary[key]);
+  }
+  return summary;
+};
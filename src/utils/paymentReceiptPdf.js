@@ -0,0 +1,112 @@
+// src/utils/paymentReceiptPdf.js
+/**
+ * paymentReceiptPdf.js
+ * ------------------------------------------------------------
+ * pdfkit renderer for one payment receipt (one ledger transaction of a
+ * due): member details, amount in figures and words, method, transaction
+ * ID and the balance left on the due after this receipt.
+ */
+
+import PDFDocument from "pdfkit";
+
+const BRAND_COLOR = "#1976d2";
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten",
+  "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(" "));
+
+const belowThousand = (n) =>
+  [n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : "", belowHundred(n % 100)].filter(Boolean).join(" ");
+
+// Indian grouping: crore, lakh, thousand
+const integerInWords = (n) => {
+  if (n === 0) return "Zero";
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+  if (crore) parts.push(`${integerInWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(" ");
+};
+
+// 3000 → "Rupees Three Thousand Only", 1250.5 → "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only"
+export const amountInWords = (amount) => {
+  const value = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(value / 100);
+  const paise = value % 100;
+  return `Rupees ${integerInWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ""} Only`;
+};
+
+const formatAmount = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" }) : "—";
+
+const row = (doc, label, value, x, width) => {
+  const y = doc.y;
+  doc.font("Helvetica-Bold").fontSize(10).fillColor("#555").text(label, x, y, { width: 130 });
+  doc.font("Helvetica").fontSize(10).fillColor("#000").text(value || "—", x + 130, y, { width: width - 130 });
+  doc.moveDown(0.4);
+};
+
+/**
+ * renderPaymentReceiptPdf - writes an A5 (landscape) receipt to `stream`.
+ *
+ * @param {Object} payment     - Payment (the due)
+ * @param {Object} transaction - the ledger entry being receipted
+ * @param {Object} member      - User (name, surname, itsNumber, zone, mobile, email)
+ * @param {number} balance     - outstanding on the due after this receipt
+ */
+export const renderPaymentReceiptPdf = (payment, transaction, member, balance, stream) => {
+  const doc = new PDFDocument({ size: "A5", layout: "landscape", margin: 32 });
+  doc.pipe(stream);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // Header band
+  doc.rect(0, 0, doc.page.width, 64).fill(BRAND_COLOR);
+  doc.fillColor("#fff").font("Helvetica-Bold").fontSize(16).text("Burhani Guards International — Ujjain", left, 18, { width });
+  doc.font("Helvetica").fontSize(10).text("Payment Receipt", left, 40, { width });
+
+  doc.fillColor("#000").font("Helvetica-Bold").fontSize(11);
+  doc.text(`Receipt No: ${transaction.receiptNumber || "—"}`, left, 80, { width: width / 2 });
+  doc.text(`Date: ${formatDate(transaction.paidDate)}`, left + width / 2, 80, { width: width / 2, align: "right" });
+  doc.moveDown(1);
+
+  const name = [member?.name, member?.surname].filter(Boolean).join(" ") || payment.memberName;
+  row(doc, "Received from", name, left, width);
+  row(doc, "ITS Number", member?.itsNumber || payment.itsNumber, left, width);
+  row(doc, "Zone", member?.zone || payment.zone, left, width);
+  row(doc, "Towards", [payment.paymentType, payment.subscriptionYear].filter(Boolean).join(" "), left, width);
+  row(doc, "Amount", formatAmount(transaction.amount), left, width);
+  row(doc, "Amount in words", amountInWords(transaction.amount), left, width);
+  row(doc, "Payment method", transaction.paymentMethod, left, width);
+  row(doc, "Transaction ID", transaction.transactionId, left, width);
+  if (transaction.remarks) row(doc, "Remarks", transaction.remarks, left, width);
+
+  doc.moveDown(0.4);
+  doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor("#ccc").stroke();
+  doc.moveDown(0.5);
+
+  doc.font("Helvetica").fontSize(9).fillColor("#555");
+  doc.text(
+    `Due amount ${formatAmount(payment.amount)} · Balance after this receipt ${formatAmount(balance)}${balance <= 0 ? " (fully paid)" : ""}`,
+    left,
+    doc.y,
+    { width }
+  );
+  doc.moveDown(0.6);
+  doc.fontSize(8).fillColor("#888").text("This is a computer-generated receipt and does not require a signature.", left, doc.y, { width });
+
+  doc.end();
+};
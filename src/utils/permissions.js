@@ -0,0 +1,104 @@
+// src/utils/permissions.js
+import RoleDefinition from "../models/RoleDefinition.js";
+import { ALL_PERMISSIONS, DEFAULT_ROLE_DEFINITIONS } from "../config/permissions.js";
+
+// Role definitions change rarely; keep them in memory for a short while
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null; // Map<roleName, string[]>
+let cachedAt = 0;
+let defaultsEnsured = false;
+
+// Insert missing role definitions, and hand out default permissions added
+// since a role was seeded. seededPermissions remembers what was already
+// offered, so a permission a SuperAdmin removed is never re-added.
+const ensureDefaultRoleDefinitions = async () => {
+  if (defaultsEnsured) return;
+  await Promise.all(
+    DEFAULT_ROLE_DEFINITIONS.map(async (def) => {
+      const existing = await RoleDefinition.findOne({ name: def.name }).select("seededPermissions").lean();
+      if (!existing) {
+        await RoleDefinition.updateOne(
+          { name: def.name },
+          {
+            $setOnInsert: {
+              description: def.description,
+              permissions: def.permissions,
+              seededPermissions: def.permissions,
+            },
+          },
+          { upsert: true }
+        );
+        return;
+      }
+
+      const seeded = new Set(existing.seededPermissions || []);
+      const added = def.permissions.filter((p) => !seeded.has(p));
+      if (added.length === 0) return;
+
+      await RoleDefinition.updateOne(
+        { name: def.name },
+        { $addToSet: { permissions: { $each: added }, seededPermissions: { $each: added } } }
+      );
+    })
+  );
+  defaultsEnsured = true;
+};
+
+const loadRoleDefinitions = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
+
+  await ensureDefaultRoleDefinitions();
+  const defs = await RoleDefinition.find().select("name permissions").lean();
+
+  cache = new Map(defs.map((d) => [d.name, d.permissions || []]));
+  cachedAt = Date.now();
+  return cache;
+};
+
+export const invalidateRoleDefinitions = () => {
+  cache = null;
+};
+
+/**
+ * getRolePermissions - permissions granted to a role (empty for unknown roles).
+ */
+export const getRolePermissions = async (role) => {
+  const defs = await loadRoleDefinitions();
+  return defs.get(role) || [];
+};
+
+// Captain / Vice Captain designations lead a zone even when their role is lower
+const ZONE_LEADER_DESIGNATIONS = ["Captain", "Vice Captain"];
+
+/**
+ * getUserPermissions - role permissions, plus the Captain role's permissions
+ * for zone leaders by designation.
+ */
+export const getUserPermissions = async (user) => {
+  const own = await getRolePermissions(user.role);
+  if (user.role === "Captain" || !ZONE_LEADER_DESIGNATIONS.includes(user.designation)) return own;
+
+  const captain = await getRolePermissions("Captain");
+  return [...new Set([...own, ...captain])];
+};
+
+/**
+ * hasPermission - checks req.user (permissions attached by the auth middleware).
+ */
+export const hasPermission = (user, permission) => {
+  const granted = user?.permissions || [];
+  return granted.includes(ALL_PERMISSIONS) || granted.includes(permission);
+};
+
+/**
+ * getPermissionScope - how far a permission reaches for this user:
+ *   { all: true }            → unrestricted ("members:read")
+ *   { all: false, zone }     → only their own zone ("members:read:zone")
+ *   null                     → not granted
+ */
+export const getPermissionScope = (user, permission) => {
+  if (hasPermission(user, permission)) return { all: true, zone: null };
+  if (user?.zone && hasPermission(user, `${permission}:zone`)) return { all: false, zone: user.zone };
+  return null;
+};
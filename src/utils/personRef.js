@@ -0,0 +1,70 @@
+// src/utils/personRef.js
+/**
+ * personRef.js
+ * ------------------------------------------------------------
+ * People on duty charts/templates are stored as
+ *   { user: ObjectId }          a registered member
+ *   { externalName: String }    a typed name (guest officer, etc.)
+ *
+ * Clients still send plain strings (an id or a name) or the user objects
+ * they received; toPersonRef turns any of those into the stored shape.
+ * Legacy documents may still hold plain strings until the migration has
+ * run, so the readers below accept every shape.
+ */
+
+import mongoose from "mongoose";
+
+const isIdLike = (value) => mongoose.isObjectIdOrHexString(value);
+
+/**
+ * toPersonRef - request value → { user } | { externalName } | null
+ * Accepts an id string, a typed name, an ObjectId, a user object ({ _id })
+ * or an already-shaped ref.
+ */
+export const toPersonRef = (value) => {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === "object" && !isIdLike(value)) {
+    if (value.user) return toPersonRef(value.user);
+    if (value._id) return toPersonRef(value._id);
+    if (value.externalName) return toPersonRef(String(value.externalName));
+    return null;
+  }
+
+  const s = String(value).trim();
+  if (s === "") return null;
+  return isIdLike(s) ? { user: new mongoose.Types.ObjectId(s) } : { externalName: s };
+};
+
+/**
+ * personUserId - the member id (string) behind any stored/populated/legacy
+ * person value, or null for typed names and empty values.
+ */
+export const personUserId = (value) => {
+  if (value === undefined || value === null) return null;
+  if (isIdLike(value)) return String(value);
+  if (typeof value === "object") {
+    if (value.user) return personUserId(value.user);
+    if (value._id) return personUserId(value._id);
+  }
+  return null;
+};
+
+/**
+ * personToLegacy - the pre-normalization API value: the member id string,
+ * or the typed name. Used wherever clients expect the old plain-string shape.
+ */
+export const personToLegacy = (value) => {
+  const id = personUserId(value);
+  if (id) return id;
+  if (value && typeof value === "object") return value.externalName || null;
+  return value ? String(value) : null;
+};
+
+// same person? (typed names compare by name, members by id)
+export const personKey = (value) => {
+  const id = personUserId(value);
+  if (id) return `user:${id}`;
+  const name = personToLegacy(value);
+  return name ? `name:${name.toLowerCase()}` : null;
+};
@@ -0,0 +1,31 @@
+// src/utils/receiptNumbers.js
+/**
+ * receiptNumbers.js
+ * ------------------------------------------------------------
+ * The only place receipt numbers are issued: one atomic counter per
+ * financial year (April–March), formatted as BGI/2025-26/00042.
+ * Numbers are never reused, even if the transaction is removed later.
+ */
+
+import Counter from "../models/Counter.js";
+
+const PREFIX = "BGI";
+
+// 15 Jan 2026 → "2025-26", 1 Apr 2026 → "2026-27"
+export const financialYearOf = (date = new Date()) => {
+  const d = new Date(date);
+  const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+};
+
+export const formatReceiptNumber = (financialYear, seq) => `${PREFIX}/${financialYear}/${String(seq).padStart(5, "0")}`;
+
+export const issueReceiptNumber = async (date = new Date(), { session = null } = {}) => {
+  const financialYear = financialYearOf(date);
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `receipt:${financialYear}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  ).lean();
+  return formatReceiptNumber(financialYear, counter.seq);
+};
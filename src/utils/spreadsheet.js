@@ -0,0 +1,65 @@
+// src/utils/spreadsheet.js
+import path from "path";
+import { Readable } from "stream";
+import ExcelJS from "exceljs";
+
+export const SPREADSHEET_EXTENSIONS = [".csv", ".xlsx"];
+
+// exceljs cells can hold rich text, hyperlinks, formulas or dates
+const cellToString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((r) => r.text).join("");
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    return "";
+  }
+  return String(value);
+};
+
+// "ITS Number" / "its_number" / "itsNumber" → "itsnumber"
+const normalizeHeader = (h) => cellToString(h).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * readSpreadsheetRows - parses the first sheet of a CSV/XLSX buffer.
+ * The first row is the header; headers are normalized (lowercase,
+ * alphanumerics only) and mapped through `aliases` when given.
+ *
+ * @returns {Promise<Array<{ rowNumber: number, values: Object }>>}
+ */
+export const readSpreadsheetRows = async (buffer, filename, aliases = {}) => {
+  const ext = path.extname(filename || "").toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+
+  let sheet;
+  if (ext === ".csv") {
+    // keep every value as text — ITS/mobile numbers must not lose leading zeros
+    sheet = await workbook.csv.read(Readable.from([buffer]), { map: (value) => value });
+  } else if (ext === ".xlsx") {
+    await workbook.xlsx.load(buffer);
+    sheet = workbook.worksheets[0];
+  } else {
+    throw new Error(`Unsupported file type: ${ext || "unknown"}`);
+  }
+
+  if (!sheet || sheet.rowCount === 0) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    const key = normalizeHeader(cell.value);
+    headers[col] = aliases[key] || key;
+  });
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      if (headers[col]) values[headers[col]] = cellToString(cell.value).trim();
+    });
+    if (Object.values(values).some(Boolean)) rows.push({ rowNumber, values });
+  });
+
+  return rows;
+};